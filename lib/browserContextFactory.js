@@ -21,7 +21,8 @@ import * as playwright from 'playwright';
 import { registryDirectory } from 'playwright-core/lib/server/registry/index';
 import { logUnhandledError, testDebug } from './log.js';
 import { createHash } from './utils.js';
-import { outputFile } from './config.js';
+import { outputFile, validateProfileName } from './config.js';
+import { browserLaunches } from './metrics.js';
 export function contextFactory(config) {
     if (config.browser.remoteEndpoint)
         return new RemoteContextFactory(config);
@@ -48,26 +49,37 @@ class BaseContextFactory {
         testDebug(`obtain browser (${this.name})`);
         this._browserPromise = this._doObtainBrowser();
         void this._browserPromise.then(browser => {
+            browserLaunches.inc({ factory: this.name, result: 'success' });
             browser.on('disconnected', () => {
                 this._browserPromise = undefined;
             });
         }).catch(() => {
+            browserLaunches.inc({ factory: this.name, result: 'failure' });
             this._browserPromise = undefined;
         });
         return this._browserPromise;
     }
+    /**
+     * Checks that a browser can be obtained. The browser is kept for the next session.
+     */
+    async checkReady() {
+        await this._obtainBrowser();
+    }
     async _doObtainBrowser() {
         throw new Error('Not implemented');
     }
-    async createContext(clientInfo) {
+    get supportsContextOptions() {
+        return true;
+    }
+    async createContext(clientInfo, abortSignal, contextOptions = {}) {
         if (this.config.saveTrace)
             this._tracesDir = await outputFile(this.config, clientInfo.rootPath, `traces-${Date.now()}`);
         testDebug(`create browser context (${this.name})`);
         const browser = await this._obtainBrowser();
-        const browserContext = await this._doCreateContext(browser);
+        const browserContext = await this._doCreateContext(browser, contextOptions);
         return { browserContext, close: () => this._closeBrowserContext(browserContext, browser) };
     }
-    async _doCreateContext(browser) {
+    async _doCreateContext(browser, contextOptions) {
         throw new Error('Not implemented');
     }
     async _closeBrowserContext(browserContext, browser) {
@@ -99,8 +111,8 @@ class IsolatedContextFactory extends BaseContextFactory {
             throw error;
         });
     }
-    async _doCreateContext(browser) {
-        return browser.newContext(this.config.browser.contextOptions);
+    async _doCreateContext(browser, contextOptions) {
+        return browser.newContext({ ...this.config.browser.contextOptions, ...contextOptions });
     }
 }
 class CdpContextFactory extends BaseContextFactory {
@@ -110,8 +122,12 @@ class CdpContextFactory extends BaseContextFactory {
     async _doObtainBrowser() {
         return playwright.chromium.connectOverCDP(this.config.browser.cdpEndpoint);
     }
-    async _doCreateContext(browser) {
-        return this.config.browser.isolated ? await browser.newContext() : browser.contexts()[0];
+    get supportsContextOptions() {
+        // The default context of the connected browser is used as is.
+        return !!this.config.browser.isolated;
+    }
+    async _doCreateContext(browser, contextOptions) {
+        return this.config.browser.isolated ? await browser.newContext(contextOptions) : browser.contexts()[0];
     }
 }
 class RemoteContextFactory extends BaseContextFactory {
@@ -125,26 +141,33 @@ class RemoteContextFactory extends BaseContextFactory {
             url.searchParams.set('launch-options', JSON.stringify(this.config.browser.launchOptions));
         return playwright[this.config.browser.browserName].connect(String(url));
     }
-    async _doCreateContext(browser) {
-        return browser.newContext();
+    async _doCreateContext(browser, contextOptions) {
+        return browser.newContext(contextOptions);
     }
 }
+const readyCheckCacheTime = 5 * 60 * 1000;
 class PersistentContextFactory {
     config;
     name = 'persistent';
     description = 'Create a new persistent browser context';
-    _userDataDirs = new Set();
+    supportsContextOptions = true;
+    _readyCheck;
+    _openContextCount = 0;
+    // Shared by all factories, so that profiles in use by any session are not deleted.
+    static _userDataDirs = new Set();
     constructor(config) {
         this.config = config;
     }
-    async createContext(clientInfo) {
+    async createContext(clientInfo, abortSignal, contextOptions = {}) {
         await injectCdpPort(this.config.browser);
         testDebug('create browser context (persistent)');
-        const userDataDir = this.config.browser.userDataDir ?? await this._createUserDataDir(clientInfo.rootPath);
+        const userDataDir = clientInfo.profile
+            ? await this._createProfileDir(clientInfo.profile)
+            : this.config.browser.userDataDir ?? await this._createUserDataDir(clientInfo.rootPath);
         let tracesDir;
         if (this.config.saveTrace)
             tracesDir = await outputFile(this.config, clientInfo.rootPath, `traces-${Date.now()}`);
-        this._userDataDirs.add(userDataDir);
+        PersistentContextFactory._userDataDirs.add(userDataDir);
         testDebug('lock user data dir', userDataDir);
         const browserType = playwright[this.config.browser.browserName];
         for (let i = 0; i < 5; i++) {
@@ -153,13 +176,17 @@ class PersistentContextFactory {
                     tracesDir,
                     ...this.config.browser.launchOptions,
                     ...this.config.browser.contextOptions,
+                    ...contextOptions,
                     handleSIGINT: false,
                     handleSIGTERM: false,
                 });
+                browserLaunches.inc({ factory: this.name, result: 'success' });
+                ++this._openContextCount;
                 const close = () => this._closeBrowserContext(browserContext, userDataDir);
                 return { browserContext, close };
             }
             catch (error) {
+                browserLaunches.inc({ factory: this.name, result: 'failure' });
                 if (error.message.includes('Executable doesn\'t exist'))
                     throw new Error(`Browser specified in your config is not installed. Either install it (likely) or change the config.`);
                 if (error.message.includes('ProcessSingleton') || error.message.includes('Invalid URL')) {
@@ -170,17 +197,53 @@ class PersistentContextFactory {
                 throw error;
             }
         }
-        throw new Error(`Browser is already in use for ${userDataDir}, use --isolated to run multiple instances of the same browser`);
+        if (clientInfo.profile)
+            throw new Error(`Browser is already in use for profile "${clientInfo.profile}" (${userDataDir}), use a different profile or --isolated to run multiple instances of the same browser`);
+        throw new Error(`Browser is already in use for ${userDataDir}, use a named profile or --isolated to run multiple instances of the same browser`);
+    }
+    /**
+     * Checks that the browser can be launched. The browser is ready while any persistent context
+     * is open. Otherwise, because persistent contexts lock their user data directory, a separate
+     * headless browser is launched and closed instead. Successful checks are reused for a few
+     * minutes, so that frequent probes do not launch a browser every time.
+     */
+    async checkReady() {
+        if (this._openContextCount)
+            return;
+        if (this._readyCheck && Date.now() - this._readyCheck.time < readyCheckCacheTime)
+            return await this._readyCheck.promise;
+        const readyCheck = { time: Date.now(), promise: this._launchForReadinessCheck() };
+        this._readyCheck = readyCheck;
+        await readyCheck.promise.catch(error => {
+            if (this._readyCheck === readyCheck)
+                this._readyCheck = undefined;
+            throw error;
+        });
+    }
+    async _launchForReadinessCheck() {
+        const launchOptions = { ...this.config.browser.launchOptions, headless: true, handleSIGINT: false, handleSIGTERM: false };
+        delete launchOptions.cdpPort;
+        let browser;
+        try {
+            browser = await playwright[this.config.browser.browserName].launch(launchOptions);
+            browserLaunches.inc({ factory: this.name, result: 'success' });
+        }
+        catch (error) {
+            browserLaunches.inc({ factory: this.name, result: 'failure' });
+            throw error;
+        }
+        await browser.close();
     }
     async _closeBrowserContext(browserContext, userDataDir) {
         testDebug('close browser context (persistent)');
         testDebug('release user data dir', userDataDir);
         await browserContext.close().catch(() => { });
-        this._userDataDirs.delete(userDataDir);
+        --this._openContextCount;
+        PersistentContextFactory._userDataDirs.delete(userDataDir);
         testDebug('close browser context complete (persistent)');
     }
     async _createUserDataDir(rootPath) {
-        const dir = process.env.PWMCP_PROFILES_DIR_FOR_TEST ?? registryDirectory;
+        const dir = profilesRootDirectory();
         const browserToken = this.config.browser.launchOptions?.channel ?? this.config.browser?.browserName;
         // Hesitant putting hundreds of files into the user's workspace, so using it for hashing instead.
         const rootPathToken = rootPath ? `-${createHash(rootPath)}` : '';
@@ -188,6 +251,48 @@ class PersistentContextFactory {
         await fs.promises.mkdir(result, { recursive: true });
         return result;
     }
+    async _createProfileDir(profile) {
+        validateProfileName(profile);
+        const browserToken = this.config.browser.launchOptions?.channel ?? this.config.browser?.browserName;
+        const result = path.join(namedProfilesDirectory(), profile, browserToken);
+        await fs.promises.mkdir(result, { recursive: true });
+        return result;
+    }
+}
+function profilesRootDirectory() {
+    return process.env.PWMCP_PROFILES_DIR_FOR_TEST ?? registryDirectory;
+}
+function namedProfilesDirectory() {
+    return path.join(profilesRootDirectory(), 'mcp-profiles');
+}
+/**
+ * Lists the named profiles with the browsers that have user data in them.
+ */
+export async function listProfiles() {
+    const entries = await fs.promises.readdir(namedProfilesDirectory(), { withFileTypes: true }).catch(() => []);
+    const profiles = [];
+    for (const entry of entries.filter(entry => entry.isDirectory())) {
+        const dir = path.join(namedProfilesDirectory(), entry.name);
+        const browsers = (await fs.promises.readdir(dir, { withFileTypes: true })).filter(e => e.isDirectory()).map(e => e.name);
+        profiles.push({
+            name: entry.name,
+            browsers,
+            inUse: browsers.some(browser => PersistentContextFactory._userDataDirs.has(path.join(dir, browser))),
+            path: dir,
+        });
+    }
+    return profiles;
+}
+export async function deleteProfile(profile) {
+    validateProfileName(profile);
+    const profiles = await listProfiles();
+    const entry = profiles.find(p => p.name === profile);
+    if (!entry)
+        throw new Error(`Profile "${profile}" not found`);
+    if (entry.inUse)
+        throw new Error(`Profile "${profile}" is in use by a browser, close it first`);
+    await fs.promises.rm(entry.path, { recursive: true, force: true });
+    return entry;
 }
 async function injectCdpPort(browserConfig) {
     if (browserConfig.browserName === 'chromium')
@@ -15,11 +15,13 @@
  */
 import { fileURLToPath } from 'url';
 import { z } from 'zod';
+import { configWithPolicy } from './config.js';
 import { Context } from './context.js';
 import { logUnhandledError } from './log.js';
+import { toolCallDuration, toolCalls, toolErrors } from './metrics.js';
 import { Response } from './response.js';
 import { SessionLog } from './sessionLog.js';
-import { filteredTools } from './tools.js';
+import { allTools, filteredTools } from './tools.js';
 import { packageJSON } from './package.js';
 import { defineTool } from './tools/tool.js';
 export class BrowserServerBackend {
@@ -31,11 +33,11 @@ export class BrowserServerBackend {
     _config;
     _browserContextFactory;
     constructor(config, factories) {
-        this._config = config;
+        this._config = configWithPolicy(config);
         this._browserContextFactory = factories[0];
-        this._tools = filteredTools(config);
-        if (factories.length > 1)
-            this._tools.push(this._defineContextSwitchTool(factories));
+        // Filters and policies apply to browser_connect as well.
+        const tools = factories.length > 1 ? [...allTools, this._defineContextSwitchTool(factories)] : allTools;
+        this._tools = filteredTools(this._config, tools);
     }
     async initialize(server) {
         const capabilities = server.getClientCapabilities();
@@ -53,7 +55,7 @@ export class BrowserServerBackend {
             config: this._config,
             browserContextFactory: this._browserContextFactory,
             sessionLog: this._sessionLog,
-            clientInfo: { ...server.getClientVersion(), rootPath },
+            clientInfo: { ...server.getClientVersion(), rootPath, profile: this._config.profile },
         });
     }
     tools() {
@@ -63,6 +65,7 @@ export class BrowserServerBackend {
         const context = this._context;
         const response = new Response(context, schema.name, parsedArguments);
         const tool = this._tools.find(tool => tool.schema.name === schema.name);
+        const startTime = performance.now();
         context.setRunningTool(true);
         try {
             await tool.handle(context, parsedArguments, response);
@@ -75,6 +78,11 @@ export class BrowserServerBackend {
         finally {
             context.setRunningTool(false);
         }
+        const labels = { tool: schema.name };
+        toolCalls.inc(labels);
+        toolCallDuration.observe(labels, (performance.now() - startTime) / 1000);
+        if (response.isError())
+            toolErrors.inc(labels);
         return response.serialize();
     }
     serverClosed() {
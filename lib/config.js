@@ -38,7 +38,10 @@ const defaultConfig = {
     saveTrace: false,
 };
 export async function resolveConfig(config) {
-    return mergeConfig(defaultConfig, config);
+    const result = mergeConfig(defaultConfig, config);
+    if (result.policy)
+        validatePolicy(result.policy, 'config');
+    return result;
 }
 export async function resolveCLIConfig(cliOptions) {
     const configInFile = await loadConfig(cliOptions.config);
@@ -48,6 +51,8 @@ export async function resolveCLIConfig(cliOptions) {
     result = mergeConfig(result, configInFile);
     result = mergeConfig(result, envOverrides);
     result = mergeConfig(result, cliOverrides);
+    if (result.policy)
+        validatePolicy(result.policy, 'config');
     return result;
 }
 export function configFromCLIOptions(cliOptions) {
@@ -112,6 +117,12 @@ export function configFromCLIOptions(cliOptions) {
         contextOptions.ignoreHTTPSErrors = true;
     if (cliOptions.blockServiceWorkers)
         contextOptions.serviceWorkers = 'block';
+    if (cliOptions.replayHarNotFound && !['abort', 'fallback'].includes(cliOptions.replayHarNotFound))
+        throw new Error(`Invalid HAR replay not found policy "${cliOptions.replayHarNotFound}", use "abort" or "fallback"`);
+    if (cliOptions.profile)
+        validateProfileName(cliOptions.profile);
+    if (cliOptions.snapshotMode && !['full', 'diff'].includes(cliOptions.snapshotMode))
+        throw new Error(`Invalid snapshot mode "${cliOptions.snapshotMode}", use "full" or "diff"`);
     const result = {
         browser: {
             browserName,
@@ -124,29 +135,45 @@ export function configFromCLIOptions(cliOptions) {
         server: {
             port: cliOptions.port,
             host: cliOptions.host,
+            authToken: cliOptions.authToken,
+            authTokensFile: cliOptions.authTokensFile,
+            corsOrigins: cliOptions.corsOrigins,
         },
         capabilities: cliOptions.caps,
         network: {
             allowedOrigins: cliOptions.allowedOrigins,
             blockedOrigins: cliOptions.blockedOrigins,
         },
+        tools: {
+            include: cliOptions.tools,
+            exclude: cliOptions.excludeTools,
+        },
         saveSession: cliOptions.saveSession,
         saveTrace: cliOptions.saveTrace,
+        saveHar: cliOptions.saveHar,
+        replayHar: cliOptions.replayHar,
+        replayHarNotFound: cliOptions.replayHarNotFound,
         outputDir: cliOptions.outputDir,
+        profile: cliOptions.profile,
         imageResponses: cliOptions.imageResponses,
+        snapshotMode: cliOptions.snapshotMode,
     };
     return result;
 }
 function configFromEnv() {
     const options = {};
     options.allowedOrigins = semicolonSeparatedList(process.env.PLAYWRIGHT_MCP_ALLOWED_ORIGINS);
+    options.authToken = envToString(process.env.PLAYWRIGHT_MCP_AUTH_TOKEN);
+    options.authTokensFile = envToString(process.env.PLAYWRIGHT_MCP_AUTH_TOKENS_FILE);
     options.blockedOrigins = semicolonSeparatedList(process.env.PLAYWRIGHT_MCP_BLOCKED_ORIGINS);
     options.blockServiceWorkers = envToBoolean(process.env.PLAYWRIGHT_MCP_BLOCK_SERVICE_WORKERS);
     options.browser = envToString(process.env.PLAYWRIGHT_MCP_BROWSER);
     options.caps = commaSeparatedList(process.env.PLAYWRIGHT_MCP_CAPS);
     options.cdpEndpoint = envToString(process.env.PLAYWRIGHT_MCP_CDP_ENDPOINT);
     options.config = envToString(process.env.PLAYWRIGHT_MCP_CONFIG);
+    options.corsOrigins = semicolonSeparatedList(process.env.PLAYWRIGHT_MCP_CORS_ORIGINS);
     options.device = envToString(process.env.PLAYWRIGHT_MCP_DEVICE);
+    options.excludeTools = commaSeparatedList(process.env.PLAYWRIGHT_MCP_EXCLUDE_TOOLS);
     options.executablePath = envToString(process.env.PLAYWRIGHT_MCP_EXECUTABLE_PATH);
     options.headless = envToBoolean(process.env.PLAYWRIGHT_MCP_HEADLESS);
     options.host = envToString(process.env.PLAYWRIGHT_MCP_HOST);
@@ -157,10 +184,16 @@ function configFromEnv() {
     options.sandbox = envToBoolean(process.env.PLAYWRIGHT_MCP_SANDBOX);
     options.outputDir = envToString(process.env.PLAYWRIGHT_MCP_OUTPUT_DIR);
     options.port = envToNumber(process.env.PLAYWRIGHT_MCP_PORT);
+    options.profile = envToString(process.env.PLAYWRIGHT_MCP_PROFILE);
     options.proxyBypass = envToString(process.env.PLAYWRIGHT_MCP_PROXY_BYPASS);
     options.proxyServer = envToString(process.env.PLAYWRIGHT_MCP_PROXY_SERVER);
+    options.replayHar = envToString(process.env.PLAYWRIGHT_MCP_REPLAY_HAR);
+    options.replayHarNotFound = envToString(process.env.PLAYWRIGHT_MCP_REPLAY_HAR_NOT_FOUND);
+    options.saveHar = envToBoolean(process.env.PLAYWRIGHT_MCP_SAVE_HAR);
     options.saveTrace = envToBoolean(process.env.PLAYWRIGHT_MCP_SAVE_TRACE);
+    options.snapshotMode = envToString(process.env.PLAYWRIGHT_MCP_SNAPSHOT_MODE);
     options.storageState = envToString(process.env.PLAYWRIGHT_MCP_STORAGE_STATE);
+    options.tools = commaSeparatedList(process.env.PLAYWRIGHT_MCP_TOOLS);
     options.userAgent = envToString(process.env.PLAYWRIGHT_MCP_USER_AGENT);
     options.userDataDir = envToString(process.env.PLAYWRIGHT_MCP_USER_DATA_DIR);
     options.viewportSize = envToString(process.env.PLAYWRIGHT_MCP_VIEWPORT_SIZE);
@@ -176,6 +209,52 @@ async function loadConfig(configFile) {
         throw new Error(`Failed to load config file: ${configFile}, ${error}`);
     }
 }
+/**
+ * Validates a session policy: allowed and denied tools, capabilities, allowed origins, allowed profiles and read-only mode.
+ */
+export function validatePolicy(policy, source) {
+    const isStringArray = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+    if (typeof policy !== 'object' || policy === null || Array.isArray(policy))
+        throw new Error(`Invalid policy in ${source}, expected an object`);
+    for (const key of ['tools', 'denyTools', 'capabilities', 'allowedOrigins', 'profiles']) {
+        if (policy[key] !== undefined && !isStringArray(policy[key]))
+            throw new Error(`Invalid policy in ${source}, "${key}" must be an array of strings`);
+    }
+    if (policy.readOnly !== undefined && typeof policy.readOnly !== 'boolean')
+        throw new Error(`Invalid policy in ${source}, "readOnly" must be a boolean`);
+    if (policy.profiles && !policy.profiles.length)
+        throw new Error(`Invalid policy in ${source}, "profiles" must not be empty`);
+    policy.profiles?.forEach(validateProfileName);
+    const unknownKeys = Object.keys(policy).filter(key => !['tools', 'denyTools', 'capabilities', 'allowedOrigins', 'profiles', 'readOnly'].includes(key));
+    if (unknownKeys.length)
+        throw new Error(`Invalid policy in ${source}, unknown keys: ${unknownKeys.join(', ')}`);
+}
+/**
+ * Throws when the session policy restricts the profiles and does not allow this one.
+ */
+export function checkProfileAllowed(policy, profile) {
+    if (policy?.profiles && !policy.profiles.includes(profile))
+        throw new Error(`Profile "${profile}" is not allowed by the session policy`);
+}
+/**
+ * Applies the session policy to the config: its capabilities replace the configured ones, its allowed origins
+ * further restrict the configured ones, and a session without an allowed profile is pinned to the first one. Tool filtering by policy happens in filteredTools.
+ */
+export function configWithPolicy(config) {
+    const policy = config.policy;
+    if (!policy)
+        return config;
+    return {
+        ...config,
+        capabilities: policy.capabilities ?? config.capabilities,
+        network: policy.allowedOrigins ? { ...config.network, policyAllowedOrigins: policy.allowedOrigins } : config.network,
+        profile: policy.profiles && !policy.profiles.includes(config.profile) ? policy.profiles[0] : config.profile,
+    };
+}
+export function validateProfileName(profile) {
+    if (!/^[A-Za-z0-9][A-Za-z0-9._-]*$/.test(profile) || profile.length > 64)
+        throw new Error(`Invalid profile name "${profile}", use up to 64 letters, digits, dots, dashes and underscores`);
+}
 export async function outputFile(config, rootPath, name) {
     const outputDir = config.outputDir
         ?? (rootPath ? path.join(rootPath, '.playwright-mcp') : undefined)
@@ -213,6 +292,10 @@ function mergeConfig(base, overrides) {
             ...pickDefined(base.network),
             ...pickDefined(overrides.network),
         },
+        tools: {
+            ...pickDefined(base.tools),
+            ...pickDefined(overrides.tools),
+        },
         server: {
             ...pickDefined(base.server),
             ...pickDefined(overrides.server),
@@ -15,6 +15,8 @@
  */
 import debug from 'debug';
 import { logUnhandledError } from './log.js';
+import { metrics } from './metrics.js';
+import { checkNetworkPolicy, originPattern } from './networkPolicy.js';
 import { Tab } from './tab.js';
 import { outputFile } from './config.js';
 const testDebug = debug('pw:mcp:test');
@@ -32,6 +34,12 @@ export class Context {
     _closeBrowserContextPromise;
     _isRunningTool = false;
     _abortController = new AbortController();
+    _routes = [];
+    _lastRouteId = 0;
+    _harRecording;
+    _storageState;
+    _contextOptions = {};
+    _emulation = {};
     constructor(options) {
         this.tools = options.tools;
         this.config = options.config;
@@ -42,6 +50,9 @@ export class Context {
         testDebug('create context');
         Context._allContexts.add(this);
     }
+    static openTabCount() {
+        return [...Context._allContexts].reduce((count, context) => count + context._tabs.length, 0);
+    }
     static async disposeAll() {
         await Promise.all([...Context._allContexts].map(context => context.dispose()));
     }
@@ -82,6 +93,21 @@ export class Context {
             await browserContext.newPage();
         return this._currentTab;
     }
+    async browserContext() {
+        const { browserContext } = await this._ensureBrowserContext();
+        return browserContext;
+    }
+    profile() {
+        return this._clientInfo.profile;
+    }
+    /**
+     * Switches the session to another named browser profile, the browser is relaunched with it on next use.
+     */
+    async setProfile(profile) {
+        this._checkCanRecreateBrowserContext();
+        await this.closeBrowserContext();
+        this._clientInfo = { ...this._clientInfo, profile };
+    }
     async closeTab(index) {
         const tab = index === undefined ? this._currentTab : this._tabs[index];
         if (!tab)
@@ -90,12 +116,146 @@ export class Context {
         await tab.page.close();
         return url;
     }
+    routes() {
+        return this._routes;
+    }
+    async addRoute(route) {
+        const { browserContext } = await this._ensureBrowserContext();
+        const entry = { ...route, id: `route-${++this._lastRouteId}` };
+        this._routes.push(entry);
+        await browserContext.route(entry.matcher, entry.handler);
+        return entry;
+    }
+    async removeRoute(id) {
+        const entry = this._routes.find(route => route.id === id);
+        if (!entry)
+            throw new Error(`Route "${id}" not found`);
+        this._routes = this._routes.filter(route => route !== entry);
+        if (this._browserContextPromise) {
+            const { browserContext } = await this._browserContextPromise;
+            await browserContext.unroute(entry.matcher, entry.handler);
+        }
+        return entry;
+    }
+    async startHarRecording(harPath, options = {}) {
+        if (this._harRecording?.session)
+            throw new Error(`The whole session is already recorded to ${this._harRecording.path} because of --save-har`);
+        if (this._harRecording)
+            throw new Error(`HAR recording is already in progress, saving to ${this._harRecording.path}`);
+        const { browserContext } = await this._ensureBrowserContext();
+        await this._startHarRecording(browserContext, harPath, options);
+        return this._harRecording;
+    }
+    /**
+     * Playwright only writes the HAR file when the browser context closes, so stopping
+     * the recording recreates the browser context and reopens the current page.
+     */
+    async stopHarRecording() {
+        const recording = this._harRecording;
+        if (!recording)
+            throw new Error('No HAR recording in progress');
+        if (recording.session)
+            throw new Error(`The --save-har recording to ${recording.path} is written when the browser is closed and cannot be stopped`);
+        this._harRecording = undefined;
+        await this._recreateBrowserContext();
+        return recording;
+    }
+    async _startHarRecording(browserContext, harPath, options) {
+        const updateContent = harPath.endsWith('.zip') ? 'attach' : 'embed';
+        await browserContext.routeFromHAR(harPath, {
+            update: true,
+            updateContent,
+            updateMode: 'full',
+            url: options.urlFilter,
+        });
+        this._harRecording = { path: harPath, updateContent, urlFilter: options.urlFilter, session: !!options.session };
+    }
+    /**
+     * Loads cookies and localStorage into the session. The state is applied once, to the
+     * browser context that is recreated now or to the next one if none is open.
+     */
+    async loadStorageState(storageState) {
+        this._checkCanRecreateBrowserContext();
+        this._storageState = storageState;
+        await this._recreateBrowserContext();
+    }
+    contextOptions() {
+        return this._contextOptions;
+    }
+    /**
+     * Sets browser context options that can only be applied to a new context, such as locale
+     * and timezone. Returns whether an open browser context had to be recreated. With recreate
+     * set to false, the options only apply to browser contexts created later.
+     */
+    async setContextOptions(contextOptions, { recreate = true } = {}) {
+        if (recreate && !this._browserContextFactory.supportsContextOptions)
+            throw new Error(`Changing ${Object.keys(contextOptions).join(', ')} is not supported when connected to an existing browser (${this._browserContextFactory.name})`);
+        if (recreate)
+            this._checkCanRecreateBrowserContext();
+        this._contextOptions = { ...this._contextOptions, ...contextOptions };
+        if (!recreate)
+            return false;
+        return await this._recreateBrowserContext();
+    }
+    emulation() {
+        return this._emulation;
+    }
+    /**
+     * Updates the emulation settings that can be changed on a running browser context, such as
+     * geolocation or offline mode. They are applied again when the browser context is recreated.
+     */
+    async updateEmulation(update) {
+        this._emulation = { ...this._emulation, ...update };
+        if (!this._browserContextPromise)
+            return;
+        const { browserContext } = await this._browserContextPromise;
+        await this._applyEmulation(browserContext, update);
+    }
+    async _applyEmulation(browserContext, emulation) {
+        if ('geolocation' in emulation)
+            await browserContext.setGeolocation(emulation.geolocation ?? null);
+        if ('permissions' in emulation) {
+            await browserContext.clearPermissions();
+            for (const { permissions, origin } of emulation.permissions ?? [])
+                await browserContext.grantPermissions(permissions, { origin });
+        }
+        if ('offline' in emulation)
+            await browserContext.setOffline(!!emulation.offline);
+        if ('extraHTTPHeaders' in emulation)
+            await browserContext.setExtraHTTPHeaders(emulation.extraHTTPHeaders ?? {});
+        if ('media' in emulation) {
+            for (const page of browserContext.pages())
+                await page.emulateMedia(emulation.media ?? {});
+        }
+    }
+    _checkCanRecreateBrowserContext() {
+        // Closing the browser context would end the recording, only --save-har recordings are restarted.
+        if (this._harRecording && !this._harRecording.session)
+            throw new Error(`HAR recording is in progress, saving to ${this._harRecording.path}. Stop it with browser_har_stop first.`);
+    }
+    /**
+     * Closes the browser context so that it is created again with the current settings, and reopens
+     * the current page. Returns false if there was no browser context to recreate.
+     */
+    async _recreateBrowserContext() {
+        if (!this._browserContextPromise)
+            return false;
+        this._checkCanRecreateBrowserContext();
+        const url = this._currentTab?.page.url();
+        await this.closeBrowserContext();
+        const tab = await this.ensureTab();
+        if (url && /^https?:/.test(url))
+            await tab.navigate(url);
+        return true;
+    }
     async outputFile(name) {
         return outputFile(this.config, this._clientInfo.rootPath, name);
     }
     _onPageCreated(page) {
         const tab = new Tab(this, page, tab => this._onPageClosed(tab));
         this._tabs.push(tab);
+        if (this._emulation.media)
+            page.emulateMedia(this._emulation.media).catch(logUnhandledError);
         if (!this._currentTab)
             this._currentTab = tab;
     }
@@ -127,6 +287,8 @@ export class Context {
         testDebug('close context');
         const promise = this._browserContextPromise;
         this._browserContextPromise = undefined;
+        // Pending HAR recordings are saved by the browser context on close.
+        this._harRecording = undefined;
         await promise.then(async ({ browserContext, close }) => {
             if (this.config.saveTrace)
                 await browserContext.tracing.stop();
@@ -139,14 +301,38 @@ export class Context {
         Context._allContexts.delete(this);
     }
     async _setupRequestInterception(context) {
-        if (this.config.network?.allowedOrigins?.length) {
-            await context.route('**', route => route.abort('blockedbyclient'));
-            for (const origin of this.config.network.allowedOrigins)
-                await context.route(`*://${origin}/**`, route => route.continue());
-        }
-        if (this.config.network?.blockedOrigins?.length) {
-            for (const origin of this.config.network.blockedOrigins)
-                await context.route(`*://${origin}/**`, route => route.abort('blockedbyclient'));
+        const network = this.config.network;
+        // Only intercept everything when there is an allowlist, blocklist alone only needs its own origins.
+        const hasAllowlist = network?.allowedOrigins?.length || network?.policyAllowedOrigins;
+        const patterns = hasAllowlist ? ['**'] : (network?.blockedOrigins ?? []).map(originPattern);
+        const handler = async (route) => {
+            if (checkNetworkPolicy(network, route.request().url()))
+                await route.abort('blockedbyclient');
+            else
+                await route.continue();
+        };
+        for (const pattern of patterns)
+            await context.route(pattern, handler);
+    }
+    async _applyStorageState(browserContext, storageState) {
+        if (storageState.cookies?.length)
+            await browserContext.addCookies(storageState.cookies);
+        const origins = (storageState.origins ?? []).filter(origin => origin.localStorage?.length);
+        if (!origins.length)
+            return;
+        // Set localStorage from a blank document of each origin, without hitting the network.
+        const page = await browserContext.newPage();
+        try {
+            await page.route('**/*', route => route.fulfill({ contentType: 'text/html', body: '<html></html>' }));
+            for (const { origin, localStorage } of origins) {
+                await page.goto(origin);
+                await page.evaluate(entries => {
+                    for (const { name, value } of entries)
+                        window.localStorage.setItem(name, value);
+                }, localStorage);
+            }
+        } finally {
+            await page.close();
         }
     }
     _ensureBrowserContext() {
@@ -162,9 +348,24 @@ export class Context {
         if (this._closeBrowserContextPromise)
             throw new Error('Another browser context is being closed.');
         // TODO: move to the browser context factory to make it based on isolation mode.
-        const result = await this._browserContextFactory.createContext(this._clientInfo, this._abortController.signal);
+        const result = await this._browserContextFactory.createContext(this._clientInfo, this._abortController.signal, this._contextOptions);
         const { browserContext } = result;
+        await this._applyEmulation(browserContext, this._emulation);
+        const storageState = this._storageState;
+        this._storageState = undefined;
+        if (storageState)
+            await this._applyStorageState(browserContext, storageState);
         await this._setupRequestInterception(browserContext);
+        if (this.config.replayHar) {
+            await browserContext.routeFromHAR(this.config.replayHar, {
+                notFound: this.config.replayHarNotFound ?? 'abort',
+            });
+        }
+        if (this.config.saveHar)
+            await this._startHarRecording(browserContext, await this.outputFile(`session-${Date.now()}.har`), { session: true });
+        // Routes added at runtime survive browser context re-creation.
+        for (const route of this._routes)
+            await browserContext.route(route.matcher, route.handler);
         if (this.sessionLog)
             await InputRecorder.create(this, browserContext);
         for (const page of browserContext.pages())
@@ -181,6 +382,7 @@ export class Context {
         return result;
     }
 }
+metrics.gauge('playwright_mcp_open_tabs', 'Number of open browser tabs across all sessions.', () => Context.openTabCount());
 export class InputRecorder {
     _context;
     _browserContext;
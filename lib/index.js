@@ -16,9 +16,11 @@
 import { BrowserServerBackend } from './browserServerBackend.js';
 import { resolveConfig } from './config.js';
 import { contextFactory } from './browserContextFactory.js';
+import { validateToolFilters } from './tools.js';
 import * as mcpServer from './mcp/server.js';
 export async function createConnection(userConfig = {}, contextGetter) {
     const config = await resolveConfig(userConfig);
+    validateToolFilters(config.tools);
     const factory = contextGetter ? new SimpleBrowserContextFactory(contextGetter) : contextFactory(config);
     return mcpServer.createServer(new BrowserServerBackend(config, [factory]), false);
 }
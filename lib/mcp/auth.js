@@ -0,0 +1,73 @@
+/**
+ * Copyright (c) Microsoft Corporation.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import crypto from 'crypto';
+import fs from 'fs';
+import { validatePolicy } from '../config.js';
+/**
+ * Loads the tokens accepted by the HTTP transport: the static `authToken` and the entries of
+ * `authTokensFile`, a JSON file of the form `{ "tokens": [{ "token": "...", "label": "ci", "policy": {...} }] }`.
+ * The optional policy restricts the tools, capabilities and origins of the sessions created with the token.
+ * Returns undefined when authentication is not configured.
+ */
+export async function loadAuthTokens(serverConfig) {
+    const tokens = [];
+    if (serverConfig.authToken)
+        tokens.push({ token: serverConfig.authToken, label: 'default' });
+    if (serverConfig.authTokensFile) {
+        let file;
+        try {
+            file = JSON.parse(await fs.promises.readFile(serverConfig.authTokensFile, 'utf8'));
+        }
+        catch (error) {
+            throw new Error(`Failed to load auth tokens file: ${serverConfig.authTokensFile}, ${error}`);
+        }
+        const entries = Array.isArray(file) ? file : file?.tokens;
+        if (!Array.isArray(entries))
+            throw new Error(`Invalid auth tokens file: ${serverConfig.authTokensFile}, expected {"tokens": [{"token": "...", "label": "..."}]}`);
+        // An empty file must not silently turn authentication off.
+        if (!entries.length)
+            throw new Error(`Invalid auth tokens file: ${serverConfig.authTokensFile}, no tokens defined`);
+        entries.forEach((entry, index) => {
+            if (typeof entry?.token !== 'string' || !entry.token)
+                throw new Error(`Invalid auth tokens file: ${serverConfig.authTokensFile}, entry ${index} has no token`);
+            if (entry.policy !== undefined)
+                validatePolicy(entry.policy, `auth tokens file ${serverConfig.authTokensFile}, entry ${index}`);
+            tokens.push({ ...entry, label: entry.label ?? `token-${index + 1}` });
+        });
+    }
+    return tokens.length ? tokens.map(entry => ({ ...entry, hash: hashToken(entry.token) })) : undefined;
+}
+/**
+ * Returns the token entry matching the `Authorization: Bearer` or `X-API-Key` header of the request.
+ */
+export function authenticate(req, tokens) {
+    const authorization = req.headers['authorization'];
+    const bearer = typeof authorization === 'string' ? authorization.match(/^Bearer\s+(.+)$/i)?.[1] : undefined;
+    const token = bearer ?? req.headers['x-api-key'];
+    if (typeof token !== 'string' || !token)
+        return undefined;
+    const hash = hashToken(token.trim());
+    // Compare fixed-length hashes in constant time, and check every entry so timing does not leak a position.
+    let match;
+    for (const entry of tokens) {
+        if (crypto.timingSafeEqual(entry.hash, hash))
+            match = match ?? entry;
+    }
+    return match;
+}
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest();
+}
@@ -0,0 +1,328 @@
+/**
+ * Copyright (c) Microsoft Corporation.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import { listedTool } from './server.js';
+/**
+ * Builds the OpenAPI document of the HTTP transport. Tools are called with JSON-RPC `tools/call`
+ * messages posted to `/mcp`, their arguments are described with the same JSON schemas clients
+ * get from tools/list, so the document always matches what the server exposes.
+ */
+export function createOpenApiSpec(backend, { serverUrl, authenticated }) {
+    const toolCalls = {};
+    for (const tool of backend.tools().map(listedTool)) {
+        toolCalls[`CallTool_${tool.name}`] = {
+            type: 'object',
+            title: tool.annotations.title,
+            description: tool.description,
+            'x-mcp-annotations': tool.annotations,
+            properties: {
+                jsonrpc: { type: 'string', enum: ['2.0'] },
+                id: { type: ['string', 'integer'] },
+                method: { type: 'string', enum: ['tools/call'] },
+                params: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string', enum: [tool.name] },
+                        arguments: tool.inputSchema,
+                    },
+                    required: ['name', 'arguments'],
+                },
+            },
+            required: ['jsonrpc', 'id', 'method', 'params'],
+        };
+    }
+    const messageBody = {
+        required: true,
+        content: {
+            'application/json': {
+                schema: {
+                    oneOf: [
+                        { $ref: '#/components/schemas/InitializeRequest' },
+                        { $ref: '#/components/schemas/ListToolsRequest' },
+                        ...Object.keys(toolCalls).map(name => ({ $ref: `#/components/schemas/${name}` })),
+                    ],
+                },
+            },
+        },
+    };
+    const profileParameters = [
+        {
+            name: 'X-Playwright-MCP-Profile',
+            in: 'header',
+            required: false,
+            description: 'Named browser profile for the session, read when the session is created',
+            schema: { type: 'string' },
+        },
+        {
+            name: 'profile',
+            in: 'query',
+            required: false,
+            description: 'Named browser profile for the session, used when the header is not set',
+            schema: { type: 'string' },
+        },
+    ];
+    const spec = {
+        openapi: '3.1.0',
+        info: {
+            title: 'MCP Playwright Browser Automation API',
+            description: 'Browser automation tools exposed through the Model Context Protocol (MCP) Streamable HTTP transport. Send an `initialize` request to `/mcp`, then pass the returned `Mcp-Session-Id` header with `tools/list` and `tools/call` requests. The legacy SSE transport is also available: open an event stream with `GET /sse` and post the same messages to the endpoint it announces. The tools listed here are the ones enabled for the caller.',
+            version: backend.version,
+            license: {
+                name: 'Apache-2.0',
+                url: 'https://www.apache.org/licenses/LICENSE-2.0',
+            },
+        },
+        servers: [{ url: serverUrl }],
+        paths: {
+            '/mcp': {
+                post: {
+                    summary: 'Send an MCP JSON-RPC message',
+                    operationId: 'mcpPost',
+                    parameters: [
+                        {
+                            name: 'Mcp-Session-Id',
+                            in: 'header',
+                            required: false,
+                            description: 'Session id returned by the initialize response, required for every other request',
+                            schema: { type: 'string' },
+                        },
+                        ...profileParameters,
+                    ],
+                    requestBody: messageBody,
+                    responses: {
+                        200: {
+                            description: 'JSON-RPC response, sent as JSON or as a server-sent event stream depending on the Accept header. The initialize response carries the Mcp-Session-Id header.',
+                            content: {
+                                'application/json': {
+                                    schema: { $ref: '#/components/schemas/JSONRPCResponse' },
+                                },
+                                'text/event-stream': {
+                                    schema: { type: 'string' },
+                                },
+                            },
+                        },
+                        400: { description: 'Invalid request' },
+                        404: { description: 'Session not found' },
+                    },
+                },
+                get: {
+                    summary: 'Open a stream of server-initiated MCP messages',
+                    operationId: 'mcpGet',
+                    parameters: [
+                        {
+                            name: 'Mcp-Session-Id',
+                            in: 'header',
+                            required: true,
+                            schema: { type: 'string' },
+                        },
+                    ],
+                    responses: {
+                        200: {
+                            description: 'Server-sent event stream of JSON-RPC messages',
+                            content: { 'text/event-stream': { schema: { type: 'string' } } },
+                        },
+                        404: { description: 'Session not found' },
+                    },
+                },
+                delete: {
+                    summary: 'End an MCP session',
+                    operationId: 'mcpDelete',
+                    parameters: [
+                        {
+                            name: 'Mcp-Session-Id',
+                            in: 'header',
+                            required: true,
+                            schema: { type: 'string' },
+                        },
+                    ],
+                    responses: {
+                        200: { description: 'Session closed' },
+                        404: { description: 'Session not found' },
+                    },
+                },
+            },
+            '/sse': {
+                get: {
+                    summary: 'Open a legacy SSE session',
+                    operationId: 'sseGet',
+                    parameters: profileParameters,
+                    responses: {
+                        200: {
+                            description: 'Server-sent event stream. The first `endpoint` event carries the URL, with the `sessionId` query parameter, to post messages to; JSON-RPC responses follow as `message` events.',
+                            content: { 'text/event-stream': { schema: { type: 'string' } } },
+                        },
+                        400: { description: 'Invalid profile' },
+                    },
+                },
+                post: {
+                    summary: 'Send an MCP JSON-RPC message to a legacy SSE session',
+                    operationId: 'ssePost',
+                    parameters: [
+                        {
+                            name: 'sessionId',
+                            in: 'query',
+                            required: true,
+                            description: 'Session id from the `endpoint` event of the stream',
+                            schema: { type: 'string' },
+                        },
+                    ],
+                    requestBody: messageBody,
+                    responses: {
+                        202: { description: 'Message accepted, the response is sent on the event stream' },
+                        400: { description: 'Missing sessionId or invalid message' },
+                        404: { description: 'Session not found' },
+                    },
+                },
+            },
+            '/healthz': {
+                get: {
+                    summary: 'Liveness probe',
+                    operationId: 'healthz',
+                    security: [],
+                    responses: { 200: { description: 'The process is alive' } },
+                },
+            },
+            '/readyz': {
+                get: {
+                    summary: 'Readiness probe',
+                    operationId: 'readyz',
+                    security: [],
+                    responses: {
+                        200: { description: 'A browser can be obtained' },
+                        503: { description: 'No browser is available' },
+                    },
+                },
+            },
+            '/metrics': {
+                get: {
+                    summary: 'Prometheus metrics',
+                    operationId: 'metrics',
+                    responses: {
+                        200: {
+                            description: 'Metrics in the Prometheus text format',
+                            content: { 'text/plain': { schema: { type: 'string' } } },
+                        },
+                    },
+                },
+            },
+        },
+        components: {
+            schemas: {
+                ...messageSchemas,
+                ...toolCalls,
+            },
+        },
+    };
+    if (authenticated) {
+        spec.components.securitySchemes = {
+            bearerAuth: { type: 'http', scheme: 'bearer' },
+            apiKeyAuth: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        };
+        spec.security = [{ bearerAuth: [] }, { apiKeyAuth: [] }];
+    }
+    return spec;
+}
+const messageSchemas = {
+    InitializeRequest: {
+        type: 'object',
+        properties: {
+            jsonrpc: { type: 'string', enum: ['2.0'] },
+            id: { type: ['string', 'integer'] },
+            method: { type: 'string', enum: ['initialize'] },
+            params: {
+                type: 'object',
+                properties: {
+                    protocolVersion: { type: 'string' },
+                    capabilities: { type: 'object' },
+                    clientInfo: {
+                        type: 'object',
+                        properties: {
+                            name: { type: 'string' },
+                            version: { type: 'string' },
+                        },
+                        required: ['name', 'version'],
+                    },
+                },
+                required: ['protocolVersion', 'capabilities', 'clientInfo'],
+            },
+        },
+        required: ['jsonrpc', 'id', 'method', 'params'],
+    },
+    ListToolsRequest: {
+        type: 'object',
+        properties: {
+            jsonrpc: { type: 'string', enum: ['2.0'] },
+            id: { type: ['string', 'integer'] },
+            method: { type: 'string', enum: ['tools/list'] },
+        },
+        required: ['jsonrpc', 'id', 'method'],
+    },
+    JSONRPCResponse: {
+        type: 'object',
+        properties: {
+            jsonrpc: { type: 'string', enum: ['2.0'] },
+            id: { type: ['string', 'integer'] },
+            result: {
+                description: 'The result of the request, a ToolResponse for tools/call',
+                oneOf: [{ $ref: '#/components/schemas/ToolResponse' }, { type: 'object' }],
+            },
+            error: {
+                type: 'object',
+                properties: {
+                    code: { type: 'integer' },
+                    message: { type: 'string' },
+                },
+            },
+        },
+        required: ['jsonrpc', 'id'],
+    },
+    ToolResponse: {
+        type: 'object',
+        properties: {
+            content: {
+                type: 'array',
+                items: {
+                    oneOf: [
+                        { $ref: '#/components/schemas/TextContent' },
+                        { $ref: '#/components/schemas/ImageContent' },
+                    ],
+                },
+                description: 'The response content',
+            },
+            isError: {
+                type: 'boolean',
+                description: 'Whether this is an error response',
+            },
+        },
+        required: ['content'],
+    },
+    TextContent: {
+        type: 'object',
+        properties: {
+            type: { type: 'string', enum: ['text'] },
+            text: { type: 'string' },
+        },
+        required: ['type', 'text'],
+    },
+    ImageContent: {
+        type: 'object',
+        properties: {
+            type: { type: 'string', enum: ['image'] },
+            data: { type: 'string', description: 'Base64 encoded image data' },
+            mimeType: { type: 'string', description: 'MIME type of the image' },
+        },
+        required: ['type', 'data', 'mimeType'],
+    },
+};
@@ -18,8 +18,8 @@ import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprot
 import { zodToJsonSchema } from 'zod-to-json-schema';
 import { ManualPromise } from '../manualPromise.js';
 import { logUnhandledError } from '../log.js';
-export async function connect(serverBackendFactory, transport, runHeartbeat) {
-    const backend = serverBackendFactory();
+export async function connect(serverBackendFactory, transport, runHeartbeat, sessionOptions = {}) {
+    const backend = serverBackendFactory(sessionOptions);
     const server = createServer(backend, runHeartbeat);
     await server.connect(transport);
 }
@@ -32,17 +32,7 @@ export function createServer(backend, runHeartbeat) {
     });
     const tools = backend.tools();
     server.setRequestHandler(ListToolsRequestSchema, async () => {
-        return { tools: tools.map(tool => ({
-                name: tool.name,
-                description: tool.description,
-                inputSchema: zodToJsonSchema(tool.inputSchema),
-                annotations: {
-                    title: tool.title,
-                    readOnlyHint: tool.type === 'readOnly',
-                    destructiveHint: tool.type === 'destructive',
-                    openWorldHint: true,
-                },
-            })) };
+        return { tools: tools.map(listedTool) };
     });
     let heartbeatRunning = false;
     server.setRequestHandler(CallToolRequestSchema, async (request) => {
@@ -71,6 +61,22 @@ export function createServer(backend, runHeartbeat) {
     addServerListener(server, 'close', () => backend.serverClosed?.());
     return server;
 }
+/**
+ * Converts a tool schema to the tool description sent to clients in the tools/list response.
+ */
+export function listedTool(tool) {
+    return {
+        name: tool.name,
+        description: tool.description,
+        inputSchema: zodToJsonSchema(tool.inputSchema),
+        annotations: {
+            title: tool.title,
+            readOnlyHint: tool.type === 'readOnly',
+            destructiveHint: tool.type === 'destructive',
+            openWorldHint: true,
+        },
+    };
+}
 const startHeartbeat = (server) => {
     const beat = () => {
         Promise.race([
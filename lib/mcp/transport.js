@@ -16,18 +16,20 @@
 import crypto from 'crypto';
 import debug from 'debug';
 import cors from 'cors';
-import { readFileSync } from 'fs';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
 import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
 import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import { httpAddressToString, startHttpServer } from '../httpServer.js';
+import { checkProfileAllowed, validateProfileName } from '../config.js';
+import { authenticate, loadAuthTokens } from './auth.js';
 import * as mcpServer from './server.js';
-export async function start(serverBackendFactory, options) {
+import { createOpenApiSpec } from './openapi.js';
+import { metrics, metricsContentType } from '../metrics.js';
+export async function start(serverBackendFactory, options, checkReady) {
     if (options.port !== undefined) {
+        const authTokens = await loadAuthTokens(options);
         const httpServer = await startHttpServer(options);
-        startHttpTransport(httpServer, serverBackendFactory);
+        startHttpTransport(httpServer, serverBackendFactory, options, authTokens, checkReady);
     }
     else {
         await startStdioTransport(serverBackendFactory);
@@ -37,68 +39,77 @@ async function startStdioTransport(serverBackendFactory) {
     await mcpServer.connect(serverBackendFactory, new StdioServerTransport(), false);
 }
 const testDebug = debug('pw:mcp:test');
-// Get the current file's directory
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-// Embedded OpenAPI specification as fallback
-const embeddedOpenApiSpec = `{
-  "openapi": "3.0.3",
-  "info": {
-    "title": "MCP Playwright Browser Automation API",
-    "description": "Enhanced Playwright Tools for Model Context Protocol (MCP) with CDP Support. Provides browser automation capabilities including navigation, interaction, extraction, and testing.",
-    "version": "0.0.36",
-    "contact": {
-      "name": "Gaston Zarate",
-      "email": "gaston@macaco.ai",
-      "url": "https://github.com/macacoai/mcp-playwright"
-    },
-    "license": {
-      "name": "Apache-2.0",
-      "url": "https://www.apache.org/licenses/LICENSE-2.0"
+function handleOpenAPI(serverBackendFactory, req, res, url, authEntry, serverUrl, authenticated) {
+    if (req.method !== 'GET') {
+        res.statusCode = 405;
+        res.end('Method not allowed');
+        return;
     }
-  },
-  "servers": [
-    {
-      "url": "https://mcp.doingerp.com",
-      "description": "Production MCP Playwright Server"
-    },
-    {
-      "url": "http://localhost:8931",
-      "description": "Local Development Server"
+    let sessionOptions;
+    try {
+        sessionOptions = sessionOptionsFromRequest(req, url, authEntry);
     }
-  ],
-  "info": {
-    "description": "This API provides browser automation tools through MCP (Model Context Protocol). All endpoints accept POST requests with JSON payloads and return structured responses."
-  }
-}`;
-async function handleOpenAPI(req, res) {
+    catch (error) {
+        res.statusCode = 400;
+        res.end(error.message);
+        return;
+    }
+    // The backend is not initialized, so no browser is launched, it only lists the tools the session would get.
+    const backend = serverBackendFactory(sessionOptions);
+    const spec = createOpenApiSpec(backend, { serverUrl, authenticated });
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(spec, null, 2));
+}
+/**
+ * Serves the probes: `/healthz` reports that the process is alive, `/readyz` that a browser can be obtained.
+ */
+async function handleProbe(req, res, pathname, checkReady) {
     if (req.method !== 'GET') {
         res.statusCode = 405;
         res.end('Method not allowed');
         return;
     }
-    try {
-        // Try to read the OpenAPI spec from file first
-        const openApiPath = join(__dirname, '../../openapi.json');
-        let openApiSpec;
+    if (pathname === '/readyz' && checkReady) {
         try {
-            openApiSpec = readFileSync(openApiPath, 'utf8');
+            await checkReady();
         }
-        catch {
-            // Fallback to embedded spec if file not found
-            openApiSpec = embeddedOpenApiSpec;
+        catch (error) {
+            sendJsonError(res, 503, 'not_ready', `Browser is not available: ${error.message}`);
+            return;
         }
-        res.setHeader('Content-Type', 'application/json');
-        res.setHeader('Access-Control-Allow-Origin', '*');
-        res.statusCode = 200;
-        res.end(openApiSpec);
     }
-    catch (error) {
-        res.statusCode = 500;
-        res.end('OpenAPI specification not found');
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ status: 'ok' }));
+}
+function handleMetrics(req, res) {
+    if (req.method !== 'GET') {
+        res.statusCode = 405;
+        res.end('Method not allowed');
+        return;
+    }
+    res.writeHead(200, { 'Content-Type': metricsContentType });
+    res.end(metrics.render());
+}
+const profileHeader = 'x-playwright-mcp-profile';
+// Sessions can only be used with the token that created them, so that they keep their policy.
+const sessionOwners = new WeakMap();
+/**
+ * Reads the per-session options, such as the browser profile, from the request that creates the session.
+ */
+function sessionOptionsFromRequest(req, url, authEntry) {
+    const sessionOptions = {};
+    // The policy of the token replaces the configured one for the session.
+    if (authEntry?.policy)
+        sessionOptions.policy = authEntry.policy;
+    const profile = req.headers[profileHeader] ?? url.searchParams.get('profile') ?? undefined;
+    if (profile !== undefined) {
+        validateProfileName(profile);
+        checkProfileAllowed(authEntry?.policy, profile);
+        sessionOptions.profile = profile;
     }
+    return sessionOptions;
 }
-async function handleSSE(serverBackendFactory, req, res, url, sessions) {
+async function handleSSE(serverBackendFactory, req, res, url, sessions, authEntry) {
     if (req.method === 'POST') {
         const sessionId = url.searchParams.get('sessionId');
         if (!sessionId) {
@@ -106,17 +117,26 @@ async function handleSSE(serverBackendFactory, req, res, url, sessions) {
             return res.end('Missing sessionId');
         }
         const transport = sessions.get(sessionId);
-        if (!transport) {
+        if (!transport || sessionOwners.get(transport) !== authEntry) {
             res.statusCode = 404;
             return res.end('Session not found');
         }
         return await transport.handlePostMessage(req, res);
     }
     else if (req.method === 'GET') {
+        let sessionOptions;
+        try {
+            sessionOptions = sessionOptionsFromRequest(req, url, authEntry);
+        }
+        catch (error) {
+            res.statusCode = 400;
+            return res.end(error.message);
+        }
         const transport = new SSEServerTransport('/sse', res);
         sessions.set(transport.sessionId, transport);
+        sessionOwners.set(transport, authEntry);
         testDebug(`create SSE session: ${transport.sessionId}`);
-        await mcpServer.connect(serverBackendFactory, transport, false);
+        await mcpServer.connect(serverBackendFactory, transport, false, sessionOptions);
         res.on('close', () => {
             testDebug(`delete SSE session: ${transport.sessionId}`);
             sessions.delete(transport.sessionId);
@@ -126,11 +146,11 @@ async function handleSSE(serverBackendFactory, req, res, url, sessions) {
     res.statusCode = 405;
     res.end('Method not allowed');
 }
-async function handleStreamable(serverBackendFactory, req, res, sessions) {
+async function handleStreamable(serverBackendFactory, req, res, url, sessions, authEntry) {
     const sessionId = req.headers['mcp-session-id'];
     if (sessionId) {
         const transport = sessions.get(sessionId);
-        if (!transport) {
+        if (!transport || sessionOwners.get(transport) !== authEntry) {
             res.statusCode = 404;
             res.end('Session not found');
             return;
@@ -138,12 +158,22 @@ async function handleStreamable(serverBackendFactory, req, res, sessions) {
         return await transport.handleRequest(req, res);
     }
     if (req.method === 'POST') {
+        let sessionOptions;
+        try {
+            sessionOptions = sessionOptionsFromRequest(req, url, authEntry);
+        }
+        catch (error) {
+            res.statusCode = 400;
+            res.end(error.message);
+            return;
+        }
         const transport = new StreamableHTTPServerTransport({
             sessionIdGenerator: () => crypto.randomUUID(),
             onsessioninitialized: async (sessionId) => {
                 testDebug(`create http session: ${transport.sessionId}`);
-                await mcpServer.connect(serverBackendFactory, transport, true);
+                await mcpServer.connect(serverBackendFactory, transport, true, sessionOptions);
                 sessions.set(sessionId, transport);
+                sessionOwners.set(transport, authEntry);
             }
         });
         transport.onclose = () => {
@@ -158,14 +188,24 @@ async function handleStreamable(serverBackendFactory, req, res, sessions) {
     res.statusCode = 400;
     res.end('Invalid request');
 }
-function startHttpTransport(httpServer, serverBackendFactory) {
+function sendJsonError(res, statusCode, error, message, headers = {}) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify({ error, message }));
+}
+function startHttpTransport(httpServer, serverBackendFactory, options, authTokens, checkReady) {
+    const serverUrl = httpAddressToString(httpServer.address());
     const sseSessions = new Map();
     const streamableSessions = new Map();
-    // Configure CORS with permissive settings for MCP tools
+    metrics.gauge('playwright_mcp_sessions', 'Number of active sessions by transport.', () => [
+        { labels: { transport: 'sse' }, value: sseSessions.size },
+        { labels: { transport: 'streamable' }, value: streamableSessions.size },
+    ]);
+    const corsOrigins = options.corsOrigins;
+    // Configure CORS, allowing all origins unless an allowlist is configured
     const corsHandler = cors({
-        origin: true, // Allow all origins
+        origin: corsOrigins ? corsOrigins : true,
         methods: ['GET', 'POST', 'OPTIONS'],
-        allowedHeaders: ['Content-Type', 'Authorization', 'mcp-session-id'],
+        allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'mcp-session-id', profileHeader],
         credentials: true,
         preflightContinue: false,
         optionsSuccessStatus: 204
@@ -174,30 +214,59 @@ function startHttpTransport(httpServer, serverBackendFactory) {
         // Handle CORS first
         corsHandler(req, res, async () => {
             const url = new URL(`http://localhost${req.url}`);
+            // Liveness and readiness probes do not carry credentials.
+            if (url.pathname === '/healthz' || url.pathname === '/readyz') {
+                await handleProbe(req, res, url.pathname, checkReady);
+                return;
+            }
+            // Browsers always send Origin on cross-origin requests, reject the ones that are not allowed.
+            if (corsOrigins && req.headers.origin && !corsOrigins.includes(req.headers.origin)) {
+                sendJsonError(res, 403, 'forbidden_origin', `Origin ${req.headers.origin} is not allowed`);
+                return;
+            }
+            let authEntry;
+            if (authTokens) {
+                authEntry = authenticate(req, authTokens);
+                if (!authEntry) {
+                    sendJsonError(res, 401, 'unauthorized', 'Missing or invalid token, use the "Authorization: Bearer <token>" or "X-API-Key: <token>" header', {
+                        'WWW-Authenticate': 'Bearer realm="playwright-mcp"',
+                    });
+                    return;
+                }
+                testDebug(`authenticated request as "${authEntry.label}"`);
+            }
+            if (url.pathname === '/metrics') {
+                handleMetrics(req, res);
+                return;
+            }
             // Handle OpenAPI specification endpoint
             if (url.pathname === '/openapi.json') {
-                await handleOpenAPI(req, res);
+                handleOpenAPI(serverBackendFactory, req, res, url, authEntry, serverUrl, !!authTokens);
                 return;
             }
             if (url.pathname.startsWith('/sse'))
-                await handleSSE(serverBackendFactory, req, res, url, sseSessions);
+                await handleSSE(serverBackendFactory, req, res, url, sseSessions, authEntry);
             else
-                await handleStreamable(serverBackendFactory, req, res, streamableSessions);
+                await handleStreamable(serverBackendFactory, req, res, url, streamableSessions, authEntry);
         });
     });
-    const url = httpAddressToString(httpServer.address());
-    const message = [
-        `Listening on ${url}`,
+    let message = [
+        `Listening on ${serverUrl}`,
         'Put this in your client config:',
         JSON.stringify({
             'mcpServers': {
                 'playwright': {
-                    'url': `${url}/mcp`
+                    'url': `${serverUrl}/mcp`
                 }
             }
         }, undefined, 2),
         'For legacy SSE transport support, you can use the /sse endpoint instead.',
     ].join('\n');
+    if (!authTokens && !isLoopback(httpServer.address()))
+        message += '\nWarning: the server is reachable from the network without authentication, use --auth-token or --auth-tokens-file to protect it.';
     // eslint-disable-next-line no-console
     console.error(message);
 }
+function isLoopback(address) {
+    return typeof address === 'string' || ['127.0.0.1', '::1'].includes(address.address);
+}
@@ -0,0 +1,104 @@
+/**
+ * Copyright (c) Microsoft Corporation.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+/**
+ * A small metrics registry rendered in the Prometheus text exposition format.
+ * Counters and histograms are updated as events happen, gauges are collected on scrape.
+ */
+class MetricsRegistry {
+    _metrics = [];
+    counter(name, help) {
+        const values = new Map();
+        const metric = {
+            name,
+            help,
+            type: 'counter',
+            inc: (labels = {}, value = 1) => {
+                const key = renderLabels(labels);
+                values.set(key, (values.get(key) ?? 0) + value);
+            },
+            samples: () => [...values].map(([labels, value]) => `${name}${labels} ${value}`),
+        };
+        this._metrics.push(metric);
+        return metric;
+    }
+    histogram(name, help, buckets) {
+        const values = new Map();
+        const metric = {
+            name,
+            help,
+            type: 'histogram',
+            observe: (labels, value) => {
+                const key = renderLabels(labels);
+                let entry = values.get(key);
+                if (!entry) {
+                    entry = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+                    values.set(key, entry);
+                }
+                buckets.forEach((bucket, index) => {
+                    if (value <= bucket)
+                        entry.counts[index]++;
+                });
+                entry.sum += value;
+                entry.count++;
+            },
+            samples: () => [...values.values()].flatMap(entry => [
+                ...buckets.map((bucket, index) => `${name}_bucket${renderLabels({ ...entry.labels, le: String(bucket) })} ${entry.counts[index]}`),
+                `${name}_bucket${renderLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`,
+                `${name}_sum${renderLabels(entry.labels)} ${entry.sum}`,
+                `${name}_count${renderLabels(entry.labels)} ${entry.count}`,
+            ]),
+        };
+        this._metrics.push(metric);
+        return metric;
+    }
+    /**
+     * Registers a gauge whose value is read on every scrape. `collect` returns a number,
+     * or a list of `{ labels, value }` for labelled gauges.
+     */
+    gauge(name, help, collect) {
+        this._metrics.push({
+            name,
+            help,
+            type: 'gauge',
+            samples: () => {
+                const result = collect();
+                const values = typeof result === 'number' ? [{ labels: {}, value: result }] : result;
+                return values.map(({ labels, value }) => `${name}${renderLabels(labels)} ${value}`);
+            },
+        });
+    }
+    render() {
+        const lines = [];
+        for (const metric of this._metrics) {
+            lines.push(`# HELP ${metric.name} ${metric.help}`);
+            lines.push(`# TYPE ${metric.name} ${metric.type}`);
+            lines.push(...metric.samples());
+        }
+        return lines.join('\n') + '\n';
+    }
+}
+function renderLabels(labels) {
+    const entries = Object.entries(labels);
+    if (!entries.length)
+        return '';
+    return `{${entries.map(([name, value]) => `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`).join(',')}}`;
+}
+export const metrics = new MetricsRegistry();
+export const metricsContentType = 'text/plain; version=0.0.4; charset=utf-8';
+export const toolCalls = metrics.counter('playwright_mcp_tool_calls_total', 'Number of tool calls by tool name.');
+export const toolErrors = metrics.counter('playwright_mcp_tool_errors_total', 'Number of tool calls that returned an error by tool name.');
+export const toolCallDuration = metrics.histogram('playwright_mcp_tool_call_duration_seconds', 'Duration of tool calls in seconds by tool name.', [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60]);
+export const browserLaunches = metrics.counter('playwright_mcp_browser_launches_total', 'Number of browsers launched or connected to by context factory and result.');
@@ -0,0 +1,47 @@
+/**
+ * Copyright (c) Microsoft Corporation.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import { urlMatches } from 'playwright-core/lib/utils';
+/**
+ * Returns the URL glob that matches all requests to the given origin entry
+ * of `network.allowedOrigins` or `network.blockedOrigins`.
+ */
+export function originPattern(origin) {
+    return `*://${origin}/**`;
+}
+/**
+ * Checks a URL against the network allow and block lists. The blocklist is
+ * evaluated before the allowlist. With a session policy, the URL must also match
+ * the policy's allowlist, even an empty one.
+ * @param {{allowedOrigins?: string[], blockedOrigins?: string[], policyAllowedOrigins?: string[]} | undefined} network
+ * @param {string} url
+ * @returns {{rule: 'blockedOrigins' | 'allowedOrigins', origin?: string, url: string} | undefined} The violated rule, or undefined if the request is allowed
+ */
+export function checkNetworkPolicy(network, url) {
+    const matches = (origin) => urlMatches(undefined, url, originPattern(origin));
+    const blockedBy = network?.blockedOrigins?.find(matches);
+    if (blockedBy)
+        return { rule: 'blockedOrigins', origin: blockedBy, url };
+    if (network?.allowedOrigins?.length && !network.allowedOrigins.some(matches))
+        return { rule: 'allowedOrigins', url };
+    if (network?.policyAllowedOrigins && !network.policyAllowedOrigins.some(matches))
+        return { rule: 'allowedOrigins', url };
+    return undefined;
+}
+export function describeNetworkPolicyViolation(violation) {
+    if (violation.rule === 'blockedOrigins')
+        return `Request to ${violation.url} is blocked: origin matches blocked origin "${violation.origin}"`;
+    return `Request to ${violation.url} is blocked: origin is not in the allowed origins`;
+}
@@ -24,17 +24,22 @@ import { BrowserServerBackend } from './browserServerBackend.js';
 import { Context } from './context.js';
 import { contextFactory } from './browserContextFactory.js';
 import { runLoopTools } from './loopTools/main.js';
+import { validateToolFilters } from './tools.js';
 program
     .version('Version ' + packageJSON.version)
     .name(packageJSON.name)
     .option('--allowed-origins <origins>', 'semicolon-separated list of origins to allow the browser to request. Default is to allow all.', semicolonSeparatedList)
     .option('--blocked-origins <origins>', 'semicolon-separated list of origins to block the browser from requesting. Blocklist is evaluated before allowlist. If used without the allowlist, requests not matching the blocklist are still allowed.', semicolonSeparatedList)
+    .option('--auth-token <token>', 'token that HTTP clients must send in the "Authorization: Bearer <token>" or "X-API-Key" header.')
+    .option('--auth-tokens-file <path>', 'path to a JSON file with the tokens accepted from HTTP clients, in the form {"tokens": [{"token": "...", "label": "..."}]}.')
     .option('--block-service-workers', 'block service workers')
     .option('--browser <browser>', 'browser or chrome channel to use, possible values: chrome, firefox, webkit, msedge.')
-    .option('--caps <caps>', 'comma-separated list of additional capabilities to enable, possible values: vision, pdf.', commaSeparatedList)
+    .option('--caps <caps>', 'comma-separated list of additional capabilities to enable, possible values: vision, pdf, storage.', commaSeparatedList)
     .option('--cdp-endpoint <endpoint>', 'CDP endpoint to connect to.')
     .option('--config <path>', 'path to the configuration file.')
+    .option('--cors-origins <origins>', 'semicolon-separated list of origins allowed to make cross-origin requests to the HTTP transport. Default is to allow all.', semicolonSeparatedList)
     .option('--device <device>', 'device to emulate, for example: "iPhone 15"')
+    .option('--exclude-tools <tools>', 'comma-separated list of tools to hide from the client, "*" matches any characters, for example "browser_install,browser_route_*".', commaSeparatedList)
     .option('--executable-path <path>', 'path to the browser executable.')
     .option('--headless', 'run browser in headless mode, headed by default')
     .option('--host <host>', 'host to bind server to. Default is localhost. Use 0.0.0.0 to bind to all interfaces.')
@@ -44,11 +49,17 @@ program
     .option('--no-sandbox', 'disable the sandbox for all process types that are normally sandboxed.')
     .option('--output-dir <path>', 'path to the directory for output files.')
     .option('--port <port>', 'port to listen on for SSE transport.')
+    .option('--profile <name>', 'name of the persistent browser profile to use. Each profile has its own user data directory, so that concurrent sessions do not collide. HTTP clients can pick one with the "X-Playwright-MCP-Profile" header or "profile" query parameter.')
     .option('--proxy-bypass <bypass>', 'comma-separated domains to bypass proxy, for example ".com,chromium.org,.domain.com"')
     .option('--proxy-server <proxy>', 'specify proxy server, for example "http://myproxy:3128" or "socks5://myproxy:8080"')
+    .option('--replay-har <path>', 'path to a HAR file to serve network requests from, for deterministic offline sessions.')
+    .option('--replay-har-not-found <policy>', 'what to do with requests missing from the replayed HAR file. Can be "abort" or "fallback" (send them to the network), Defaults to "abort".')
+    .option('--save-har', 'Whether to save the network traffic of the session as a HAR file into the output directory.')
     .option('--save-session', 'Whether to save the Playwright MCP session into the output directory.')
     .option('--save-trace', 'Whether to save the Playwright Trace of the session into the output directory.')
+    .option('--snapshot-mode <mode>', 'whether to send the full page snapshot after each action or only the changes since the previous one. Can be "full" or "diff", Defaults to "full".')
     .option('--storage-state <path>', 'path to the storage state file for isolated sessions.')
+    .option('--tools <tools>', 'comma-separated list of tools to expose to the client, "*" matches any characters. Default is to expose all tools of the enabled capabilities.', commaSeparatedList)
     .option('--user-agent <ua string>', 'specify user agent string')
     .option('--user-data-dir <path>', 'path to the user data directory. If not specified, a temporary directory will be created.')
     .option('--viewport-size <size>', 'specify browser viewport size in pixels, for example "1280, 720"')
@@ -64,6 +75,7 @@ program
         options.caps = 'vision';
     }
     const config = await resolveCLIConfig(options);
+    validateToolFilters(config.tools, options.connectTool ? ['browser_connect'] : []);
     if (options.extension) {
         await runWithExtension(config);
         return;
@@ -76,8 +88,8 @@ program
     const factories = [browserContextFactory];
     if (options.connectTool)
         factories.push(createExtensionContextFactory(config));
-    const serverBackendFactory = () => new BrowserServerBackend(config, factories);
-    await mcpTransport.start(serverBackendFactory, config.server);
+    const serverBackendFactory = (sessionOptions) => new BrowserServerBackend({ ...config, ...sessionOptions }, factories);
+    await mcpTransport.start(serverBackendFactory, config.server, () => browserContextFactory.checkReady());
     if (config.saveTrace) {
         const server = await startTraceViewerServer();
         const urlPrefix = server.urlPrefix('human-readable');
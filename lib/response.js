@@ -14,6 +14,7 @@
  * limitations under the License.
  */
 import { renderModalStates } from './tab.js';
+import { diffSnapshots } from './snapshotDiff.js';
 export class Response {
     _result = [];
     _code = [];
@@ -22,6 +23,9 @@ export class Response {
     _includeSnapshot = false;
     _includeTabs = false;
     _tabSnapshot;
+    _previousTabSnapshot;
+    _snapshotMode;
+    _snapshotOptions = {};
     toolName;
     toolArgs;
     _isError;
@@ -29,6 +33,7 @@ export class Response {
         this._context = context;
         this.toolName = toolName;
         this.toolArgs = toolArgs;
+        this._snapshotMode = context.config.snapshotMode ?? 'full';
     }
     addResult(result) {
         this._result.push(result);
@@ -61,11 +66,21 @@ export class Response {
     setIncludeTabs() {
         this._includeTabs = true;
     }
+    setSnapshotMode(mode) {
+        this._snapshotMode = mode;
+    }
+    setSnapshotOptions(options) {
+        this._snapshotOptions = options;
+    }
     async finish() {
         // All the async snapshotting post-action is happening here.
         // Everything below should race against modal states.
-        if (this._includeSnapshot && this._context.currentTab())
-            this._tabSnapshot = await this._context.currentTabOrDie().captureSnapshot();
+        if (this._includeSnapshot && this._context.currentTab()) {
+            const tab = this._context.currentTabOrDie();
+            this._previousTabSnapshot = tab.lastSnapshot();
+            // Scoped and paged views do not replace the diff baseline, the client did not receive the rest of the page.
+            this._tabSnapshot = await tab.captureSnapshot({ updateLastSnapshot: !isScopedSnapshot(this._snapshotOptions) });
+        }
         for (const tab of this._context.tabs())
             await tab.updateTitle();
     }
@@ -97,7 +112,7 @@ export class Response {
         if (this._tabSnapshot?.modalStates.length) {
             jsonResponse.modalStates = this._tabSnapshot.modalStates;
         } else if (this._tabSnapshot) {
-            jsonResponse.pageState = renderTabSnapshotJson(this._tabSnapshot);
+            jsonResponse.pageState = renderTabSnapshotJson(this._tabSnapshot, this._snapshotMode === 'diff' ? this._previousTabSnapshot : undefined, this._snapshotOptions);
         }
 
         // Build content array according to MCP protocol
@@ -183,12 +198,137 @@ function filterEmptyGenericElementsIntelligent(ariaSnapshot) {
     return result.join('\n');
 }
 
-function renderTabSnapshotJson(tabSnapshot) {
+/**
+ * Returns only the subtree rooted at the element with the given ref, re-indented to the top level.
+ */
+function subtreeFilter(ref) {
+    return (ariaSnapshot, state) => {
+        const lines = ariaSnapshot.split('\n');
+        const start = lines.findIndex(line => line.includes(`[ref=${ref}]`));
+        if (start === -1) {
+            state.notes.push(`Ref ${ref} not found in the snapshot`);
+            return '';
+        }
+        const rootIndent = indentOf(lines[start]);
+        const result = [lines[start]];
+        for (let i = start + 1; i < lines.length && (!lines[i].trim() || indentOf(lines[i]) > rootIndent); i++)
+            result.push(lines[i]);
+        return result.map(line => line.slice(rootIndent)).join('\n');
+    };
+}
+
+/**
+ * Keeps nodes with the given roles together with their descendants and ancestors.
+ */
+function roleFilter(roles) {
+    return ariaSnapshot => {
+        const lines = ariaSnapshot.split('\n');
+        const keep = new Array(lines.length).fill(false);
+        const ancestors = [];
+        let matchIndent = -1;
+        for (let i = 0; i < lines.length; i++) {
+            const indent = indentOf(lines[i]);
+            while (ancestors.length && indentOf(lines[ancestors[ancestors.length - 1]]) >= indent)
+                ancestors.pop();
+            if (matchIndent !== -1 && indent <= matchIndent)
+                matchIndent = -1;
+            if (matchIndent === -1 && roles.includes(roleOf(lines[i]))) {
+                matchIndent = indent;
+                for (const ancestor of ancestors)
+                    keep[ancestor] = true;
+            }
+            if (matchIndent !== -1)
+                keep[i] = true;
+            ancestors.push(i);
+        }
+        return lines.filter((_, i) => keep[i]).join('\n');
+    };
+}
+
+/**
+ * Drops nodes nested deeper than maxDepth levels below the top level.
+ */
+function depthFilter(maxDepth) {
+    return ariaSnapshot => {
+        const lines = ariaSnapshot.split('\n');
+        const baseIndent = Math.min(...lines.filter(line => line.trim()).map(indentOf));
+        return lines.filter(line => (indentOf(line) - baseIndent) / 2 < maxDepth).join('\n');
+    };
+}
+
+/**
+ * Returns maxLines lines starting at the cursor and records where the next page starts.
+ * The cursor format is validated by browser_snapshot. A cursor past the end, for example
+ * after the page lost lines between calls, returns an empty last page.
+ */
+function pageFilter(maxLines, cursor) {
+    return (ariaSnapshot, state) => {
+        const lines = ariaSnapshot.split('\n');
+        const offset = cursor ? Number(cursor) : 0;
+        if (offset >= lines.length)
+            state.notes.push(`Cursor ${offset} is past the end of the snapshot (${lines.length} lines), the page may have changed since the previous call`);
+        const end = offset + maxLines;
+        state.page = {
+            totalLines: lines.length,
+            fromLine: offset,
+            nextCursor: end < lines.length ? String(end) : null,
+        };
+        return lines.slice(offset, end).join('\n');
+    };
+}
+
+/**
+ * Builds the snapshot filter pipeline for the given options. Each stage takes the
+ * aria snapshot text and a shared state object, and returns the filtered text.
+ */
+export function snapshotFilters(options = {}) {
+    const filters = [filterEmptyGenericElementsIntelligent];
+    if (options.ref)
+        filters.push(subtreeFilter(options.ref));
+    if (options.roleFilter?.length)
+        filters.push(roleFilter(options.roleFilter));
+    if (options.maxDepth)
+        filters.push(depthFilter(options.maxDepth));
+    if (options.maxLines)
+        filters.push(pageFilter(options.maxLines, options.cursor));
+    return filters;
+}
+
+function applySnapshotFilters(ariaSnapshot, filters) {
+    const state = { notes: [] };
+    for (const filter of filters)
+        ariaSnapshot = filter(ariaSnapshot, state);
+    return { ariaSnapshot, state };
+}
+
+function isScopedSnapshot(options) {
+    return !!(options.ref || options.roleFilter?.length || options.maxDepth || options.maxLines);
+}
+
+function indentOf(line) {
+    return line.length - line.trimStart().length;
+}
+
+function roleOf(line) {
+    return line.trim().match(/^- ([\w-]+)/)?.[1];
+}
+
+function renderTabSnapshotJson(tabSnapshot, previousTabSnapshot, snapshotOptions) {
     const snapshotData = {
         url: tabSnapshot.url,
         title: tabSnapshot.title,
-        ariaSnapshot: filterEmptyGenericElementsIntelligent(tabSnapshot.ariaSnapshot)
     };
+    const { ariaSnapshot, state } = applySnapshotFilters(tabSnapshot.ariaSnapshot, snapshotFilters(snapshotOptions));
+    // Diffs are computed against full snapshots, scoped views are always sent as is.
+    const diff = previousTabSnapshot && !isScopedSnapshot(snapshotOptions) ? renderSnapshotDiffJson(previousTabSnapshot, tabSnapshot, ariaSnapshot) : undefined;
+    if (diff)
+        snapshotData.ariaSnapshotDiff = diff;
+    else
+        snapshotData.ariaSnapshot = ariaSnapshot;
+    if (state.page)
+        snapshotData.snapshotPage = state.page;
+    if (state.notes.length)
+        snapshotData.snapshotNotes = state.notes;
 
     if (tabSnapshot.consoleMessages.length) {
         snapshotData.consoleMessages = tabSnapshot.consoleMessages.map(message => 
@@ -207,6 +347,21 @@ function renderTabSnapshotJson(tabSnapshot) {
     return snapshotData;
 }
 
+/**
+ * Diffs the snapshot against the one previously sent for the same tab.
+ * Returns undefined when the full snapshot should be sent instead: after a navigation,
+ * or when the diff would not be smaller than the snapshot itself.
+ */
+function renderSnapshotDiffJson(previousTabSnapshot, tabSnapshot, ariaSnapshot) {
+    if (previousTabSnapshot.url !== tabSnapshot.url)
+        return undefined;
+    const { ariaSnapshot: previousAriaSnapshot } = applySnapshotFilters(previousTabSnapshot.ariaSnapshot, snapshotFilters());
+    const diff = diffSnapshots(previousAriaSnapshot, ariaSnapshot);
+    if (JSON.stringify(diff).length >= ariaSnapshot.length)
+        return undefined;
+    return diff;
+}
+
 function renderTabsJson(tabs, force = false) {
     if (tabs.length === 1 && !force)
         return null;
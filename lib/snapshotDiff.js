@@ -0,0 +1,78 @@
+/**
+ * Copyright (c) Microsoft Corporation.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+const rootKey = '';
+/**
+ * Computes a ref-keyed diff between two aria snapshots.
+ * @param {string} previous - The previously sent aria snapshot
+ * @param {string} current - The freshly captured aria snapshot
+ * @returns {{added: Array<{ref: string, parent?: string, node: string}>, removed: string[], changed: Array<{ref: string, parent?: string, node: string}>}}
+ */
+export function diffSnapshots(previous, current) {
+    const before = parseSnapshotNodes(previous);
+    const after = parseSnapshotNodes(current);
+    const added = [];
+    const removed = [];
+    const changed = [];
+    for (const [ref, node] of after) {
+        const oldNode = before.get(ref);
+        if (!oldNode)
+            added.push(renderNode(node));
+        else if (oldNode.parent !== node.parent || renderNode(oldNode).node !== renderNode(node).node)
+            changed.push(renderNode(node));
+    }
+    for (const ref of before.keys()) {
+        if (!after.has(ref))
+            removed.push(ref);
+    }
+    return { added, removed, changed };
+}
+/**
+ * Splits the snapshot into nodes keyed by ref. Lines without a ref (text, attributes)
+ * belong to the closest ancestor that has one.
+ */
+function parseSnapshotNodes(ariaSnapshot) {
+    const nodes = new Map();
+    const stack = [];
+    for (const line of ariaSnapshot.split('\n')) {
+        const text = line.trim();
+        if (!text)
+            continue;
+        const indent = line.length - line.trimStart().length;
+        while (stack.length && stack[stack.length - 1].indent >= indent)
+            stack.pop();
+        const owner = stack.length ? stack[stack.length - 1].owner : undefined;
+        const ref = text.match(/\[ref=([^\]]+)\]/)?.[1];
+        if (ref) {
+            const node = { ref, parent: owner?.ref, text, content: [] };
+            nodes.set(ref, node);
+            stack.push({ indent, owner: node });
+            continue;
+        }
+        const target = owner ?? nodes.get(rootKey) ?? createRootNode(nodes);
+        target.content.push(text);
+        stack.push({ indent, owner });
+    }
+    return nodes;
+}
+function createRootNode(nodes) {
+    const node = { ref: rootKey, parent: undefined, text: '', content: [] };
+    nodes.set(rootKey, node);
+    return node;
+}
+function renderNode(node) {
+    const lines = node.text ? [node.text, ...node.content.map(line => '  ' + line)] : node.content;
+    return { ref: node.ref, parent: node.parent, node: lines.join('\n') };
+}
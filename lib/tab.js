@@ -27,9 +27,11 @@ export class Tab extends EventEmitter {
     _consoleMessages = [];
     _recentConsoleMessages = [];
     _requests = new Map();
+    _lastRequestId = 0;
     _onPageClose;
     _modalStates = [];
     _downloads = [];
+    _lastSnapshot;
     constructor(context, page, onPageClose) {
         super();
         this.context = context;
@@ -37,9 +39,27 @@ export class Tab extends EventEmitter {
         this._onPageClose = onPageClose;
         page.on('console', event => this._handleConsoleMessage(messageToConsoleMessage(event)));
         page.on('pageerror', error => this._handleConsoleMessage(pageErrorToConsoleMessage(error)));
-        page.on('request', request => this._requests.set(request, null));
-        page.on('response', response => this._requests.set(response.request(), response));
+        page.on('request', request => this._requests.set(request, {
+            id: `r${++this._lastRequestId}`,
+            request,
+            response: null,
+            startTime: Date.now(),
+        }));
+        page.on('response', response => {
+            const entry = this._requests.get(response.request());
+            if (!entry)
+                return;
+            entry.response = response;
+            entry.responseTime = Date.now();
+        });
+        page.on('requestfinished', request => this._requestEnded(request));
+        page.on('requestfailed', request => this._requestEnded(request, request.failure()?.errorText ?? 'Unknown error'));
         page.on('close', () => this._onClose());
+        page.on('framenavigated', frame => {
+            // Refs from the previous document are meaningless, next snapshot is sent in full.
+            if (!frame.parentFrame())
+                this._lastSnapshot = undefined;
+        });
         page.on('filechooser', chooser => {
             this.setModalState({
                 type: 'fileChooser',
@@ -93,6 +113,14 @@ export class Tab extends EventEmitter {
         this._recentConsoleMessages.length = 0;
         this._requests.clear();
     }
+    _requestEnded(request, failure) {
+        const entry = this._requests.get(request);
+        if (!entry)
+            return;
+        entry.endTime = Date.now();
+        if (failure)
+            entry.failure = failure;
+    }
     _handleConsoleMessage(message) {
         this._consoleMessages.push(message);
         this._recentConsoleMessages.push(message);
@@ -144,10 +172,17 @@ export class Tab extends EventEmitter {
     consoleMessages() {
         return this._consoleMessages;
     }
+    lastSnapshot() {
+        return this._lastSnapshot;
+    }
     requests() {
         return this._requests;
     }
-    async captureSnapshot() {
+    /**
+     * Captures the page snapshot. The snapshot becomes the baseline of the next diff
+     * unless updateLastSnapshot is false, for views the client does not fully receive.
+     */
+    async captureSnapshot({ updateLastSnapshot = true } = {}) {
         let tabSnapshot;
         const modalStates = await this._raceAgainstModalStates(async () => {
             const snapshot = await this.page._snapshotForAI();
@@ -164,6 +199,8 @@ export class Tab extends EventEmitter {
             // Assign console message late so that we did not lose any to modal state.
             tabSnapshot.consoleMessages = this._recentConsoleMessages;
             this._recentConsoleMessages = [];
+            if (updateLastSnapshot)
+                this._lastSnapshot = tabSnapshot;
         }
         return tabSnapshot ?? {
             url: this.page.url(),
@@ -15,40 +15,110 @@
  */
 import common from './tools/common.js';
 import console from './tools/console.js';
+import cookies from './tools/cookies.js';
 import dialogs from './tools/dialogs.js';
+import emulation from './tools/emulation.js';
 import evaluate from './tools/evaluate.js';
 import files from './tools/files.js';
+import form from './tools/form.js';
 import getext from './tools/getext.js';
+import har from './tools/har.js';
 import http from './tools/http.js';
 import install from './tools/install.js';
 import interactions from './tools/interactions.js';
 import keyboard from './tools/keyboard.js';
+import mouse from './tools/mouse.js';
 import navigate from './tools/navigate.js';
 import network from './tools/network.js';
 import pdf from './tools/pdf.js';
+import profiles from './tools/profiles.js';
+import route from './tools/route.js';
 import snapshot from './tools/snapshot.js';
+import storage from './tools/storage.js';
+import storageState from './tools/storageState.js';
 import tabs from './tools/tabs.js';
 import screenshot from './tools/screenshot.js';
 import wait from './tools/wait.js';
 export const allTools = [
     ...common,
     ...console,
+    ...cookies,
     ...dialogs,
+    ...emulation,
     ...evaluate,
     ...files,
+    ...form,
     ...getext,
+    ...har,
     ...http,
     ...install,
     ...interactions,
     ...keyboard,
+    ...mouse,
     ...navigate,
     ...network,
     ...pdf,
+    ...profiles,
+    ...route,
     ...screenshot,
     ...snapshot,
+    ...storage,
+    ...storageState,
     ...tabs,
     ...wait,
 ];
-export function filteredTools(config) {
-    return allTools.filter(tool => tool.capability.startsWith('core') || config.capabilities?.includes(tool.capability));
+export function filteredTools(config, tools = allTools) {
+    return tools.filter(tool => (tool.capability.startsWith('core') || config.capabilities?.includes(tool.capability))
+        && isIncluded(tool, config.tools)
+        && isAllowedByPolicy(tool, config.policy));
+}
+/**
+ * Checks a tool against the configured `tools.include` and `tools.exclude` name lists.
+ */
+function isIncluded(tool, toolsConfig) {
+    const name = tool.schema.name;
+    if (toolsConfig?.include && !toolsConfig.include.some(pattern => toolNameMatches(name, pattern)))
+        return false;
+    if (toolsConfig?.exclude?.some(pattern => toolNameMatches(name, pattern)))
+        return false;
+    return true;
+}
+/**
+ * Throws when an entry of `tools.include` or `tools.exclude` does not match any tool, so that typos fail at startup.
+ * `extraToolNames` lists the tools that are only defined at runtime, such as browser_connect.
+ */
+export function validateToolFilters(toolsConfig, extraToolNames = []) {
+    if (!toolsConfig)
+        return;
+    for (const key of ['include', 'exclude']) {
+        const patterns = toolsConfig[key];
+        if (patterns === undefined)
+            continue;
+        if (!Array.isArray(patterns) || !patterns.every(pattern => typeof pattern === 'string'))
+            throw new Error(`Invalid tools.${key}, expected an array of tool names`);
+        const names = [...allTools.map(tool => tool.schema.name), ...extraToolNames];
+        const unknown = patterns.filter(pattern => !names.some(name => toolNameMatches(name, pattern)));
+        if (unknown.length)
+            throw new Error(`Unknown tools in tools.${key}: ${unknown.join(', ')}`);
+    }
+}
+/**
+ * Checks a tool against a session policy: `tools` lists the allowed tool names, `denyTools` the
+ * denied ones, both accepting `*` wildcards, and `readOnly` only allows tools of type readOnly.
+ */
+function isAllowedByPolicy(tool, policy) {
+    if (!policy)
+        return true;
+    const name = tool.schema.name;
+    if (policy.readOnly && tool.schema.type !== 'readOnly')
+        return false;
+    if (policy.tools && !policy.tools.some(pattern => toolNameMatches(name, pattern)))
+        return false;
+    if (policy.denyTools?.some(pattern => toolNameMatches(name, pattern)))
+        return false;
+    return true;
+}
+export function toolNameMatches(name, pattern) {
+    const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`).test(name);
 }
@@ -13,8 +13,10 @@
  * See the License for the specific language governing permissions and
  * limitations under the License.
  */
+import { devices } from 'playwright';
 import { z } from 'zod';
 import { defineTabTool, defineTool } from './tool.js';
+import * as javascript from '../javascript.js';
 const close = defineTool({
     capability: 'core',
     schema: {
@@ -55,7 +57,77 @@ const resize = defineTabTool({
         });
     },
 });
+const listDevices = defineTool({
+    capability: 'core',
+    schema: {
+        name: 'browser_device_list',
+        title: 'List emulated devices',
+        description: 'List the devices that can be emulated with browser_device_emulate, with their viewport, device scale factor and whether they are mobile, as JSON',
+        inputSchema: z.object({
+            filter: z.string().optional().describe('Case-insensitive text to search device names for, e.g. "iphone" or "galaxy"'),
+        }),
+        type: 'readOnly',
+    },
+    handle: async (context, params, response) => {
+        const filter = params.filter?.toLowerCase();
+        const names = Object.keys(devices).filter(name => !filter || name.toLowerCase().includes(filter));
+        response.addResult(JSON.stringify(names.map(name => ({
+            name,
+            viewport: devices[name].viewport,
+            deviceScaleFactor: devices[name].deviceScaleFactor,
+            isMobile: devices[name].isMobile,
+            hasTouch: devices[name].hasTouch,
+        })), null, 2));
+    },
+});
+// Options that Playwright can only set when creating a browser context, with their defaults.
+const newContextDeviceOptions = { userAgent: undefined, deviceScaleFactor: 1, isMobile: false, hasTouch: false };
+const emulateDevice = defineTool({
+    capability: 'core',
+    snapshot: true,
+    schema: {
+        name: 'browser_device_emulate',
+        title: 'Emulate device',
+        description: 'Switch to a device from the Playwright devices registry, the same one used by --device, applying its viewport, user agent, device scale factor, touch and mobile settings. When only the viewport changes it is applied to the open pages, otherwise the browser context is recreated and the current page reopened. Use browser_device_list to find device names.',
+        inputSchema: z.object({
+            name: z.string().describe('Device name, e.g. "iPhone 15", "Pixel 7" or "Desktop Chrome"'),
+        }),
+        type: 'destructive',
+    },
+    handle: async (context, params, response) => {
+        const device = devices[params.name];
+        if (!device) {
+            const words = params.name.toLowerCase().split(/\s+/).filter(Boolean);
+            const suggestions = Object.keys(devices).filter(name => words.some(word => name.toLowerCase().includes(word))).slice(0, 10);
+            throw new Error(`Unknown device "${params.name}".${suggestions.length ? ` Did you mean: ${suggestions.join(', ')}?` : ' Use browser_device_list to find device names.'}`);
+        }
+        const { defaultBrowserType, ...contextOptions } = device;
+        const current = { ...context.config.browser.contextOptions, ...context.contextOptions() };
+        const recreate = Object.entries(newContextDeviceOptions).some(([key, defaultValue]) => (current[key] ?? defaultValue) !== (contextOptions[key] ?? defaultValue));
+        if (!recreate) {
+            const { width, height } = contextOptions.viewport;
+            response.addCode(`await page.setViewportSize({ width: ${width}, height: ${height} });`);
+            await context.setContextOptions(contextOptions, { recreate: false });
+            for (const tab of context.tabs())
+                await tab.page.setViewportSize(contextOptions.viewport);
+            response.addResult(`Emulating ${params.name}, resized the viewport to ${width}x${height}`);
+            if (context.currentTab())
+                response.setIncludeSnapshot();
+            return;
+        }
+        response.addCode(`const context = await browser.newContext(devices[${javascript.quote(params.name)}]);`);
+        if (await context.setContextOptions(contextOptions)) {
+            response.addResult(`Emulating ${params.name}, recreated the browser context with its user agent, device scale factor, touch and mobile settings, and reopened the current page`);
+        } else {
+            response.addResult(`Emulating ${params.name}, the browser will be launched with its settings`);
+        }
+        if (context.currentTab())
+            response.setIncludeSnapshot();
+    },
+});
 export default [
     close,
-    resize
+    resize,
+    listDevices,
+    emulateDevice,
 ];
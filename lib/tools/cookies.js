@@ -0,0 +1,154 @@
+/**
+ * Copyright (c) Microsoft Corporation.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import { z } from 'zod';
+import { defineTool } from './tool.js';
+import * as javascript from '../javascript.js';
+const listCookies = defineTool({
+    capability: 'core',
+    schema: {
+        name: 'browser_cookies_list',
+        title: 'List cookies',
+        description: 'List the cookies of the browser context, including HttpOnly cookies, as JSON. Optionally filter by domain and name.',
+        inputSchema: z.object({
+            domain: z.string().optional().describe('Only list cookies for this domain, e.g. "example.com". Matches both "example.com" and ".example.com" cookies.'),
+            name: z.string().optional().describe('Only list cookies with this name'),
+        }),
+        type: 'readOnly',
+    },
+    handle: async (context, params, response) => {
+        const browserContext = await context.browserContext();
+        const domain = params.domain ? domainMatcher(params.domain) : undefined;
+        const cookies = (await browserContext.cookies()).filter(cookie => {
+            return (!domain || domain.test(cookie.domain)) && (!params.name || cookie.name === params.name);
+        });
+        response.addCode(`const cookies = await page.context().cookies();`);
+        response.addResult(JSON.stringify(cookies, null, 2));
+    },
+});
+const setCookie = defineTool({
+    capability: 'core',
+    schema: {
+        name: 'browser_cookie_set',
+        title: 'Set cookie',
+        description: 'Add a cookie to the browser context, or replace the cookie with the same name, domain and path. The cookie is scoped to the url, or to domain and path, defaulting to the URL of the current page.',
+        inputSchema: z.object({
+            name: z.string().describe('Cookie name'),
+            value: z.string().describe('Cookie value'),
+            url: z.string().optional().describe('URL the cookie applies to, sets its domain, path and secure flag. Defaults to the current page URL when domain is not provided.'),
+            domain: z.string().optional().describe('Cookie domain, prefix with a dot to include subdomains, e.g. ".example.com"'),
+            path: z.string().optional().describe('Cookie path, used with domain (default: "/")'),
+            expires: z.number().optional().describe('Expiration as Unix time in seconds. Session cookie if not provided.'),
+            httpOnly: z.boolean().optional().describe('Whether the cookie is HttpOnly'),
+            secure: z.boolean().optional().describe('Whether the cookie is only sent over HTTPS'),
+            sameSite: z.enum(['Strict', 'Lax', 'None']).optional().describe('SameSite attribute of the cookie'),
+        }),
+        type: 'destructive',
+    },
+    handle: async (context, params, response) => {
+        if (params.url && params.domain)
+            throw new Error('Provide either url or domain, not both');
+        const browserContext = await context.browserContext();
+        const cookie = {
+            name: params.name,
+            value: params.value,
+            url: params.url,
+            domain: params.domain,
+            path: params.domain ? params.path ?? '/' : undefined,
+            expires: params.expires,
+            httpOnly: params.httpOnly,
+            secure: params.secure,
+            sameSite: params.sameSite,
+        };
+        if (!cookie.url && !cookie.domain) {
+            const url = context.currentTab()?.page.url();
+            if (!url || !/^https?:/.test(url))
+                throw new Error('No page with an http(s) URL is open, provide url or domain for the cookie');
+            cookie.url = url;
+        }
+        response.addCode(`await page.context().addCookies([${javascript.formatObject(cookie)}]);`);
+        await browserContext.addCookies([cookie]);
+        const url = cookie.url ?? `http${cookie.secure ? 's' : ''}://${cookie.domain.replace(/^\./, '')}${cookie.path}`;
+        const added = (await browserContext.cookies(url)).find(c => c.name === cookie.name);
+        response.addResult(JSON.stringify(added ?? cookie, null, 2));
+    },
+});
+const deleteCookies = defineTool({
+    capability: 'core',
+    schema: {
+        name: 'browser_cookie_delete',
+        title: 'Delete cookies',
+        description: 'Delete the cookies of the browser context matching a name and/or domain',
+        inputSchema: z.object({
+            name: z.string().optional().describe('Name of the cookies to delete'),
+            domain: z.string().optional().describe('Domain of the cookies to delete, e.g. "example.com". Matches both "example.com" and ".example.com" cookies.'),
+            path: z.string().optional().describe('Only delete cookies with this path'),
+        }),
+        type: 'destructive',
+    },
+    handle: async (context, params, response) => {
+        if (!params.name && !params.domain)
+            throw new Error('Provide name and/or domain of the cookies to delete, or use browser_cookies_clear to delete all cookies');
+        const browserContext = await context.browserContext();
+        const filter = {
+            name: params.name,
+            domain: params.domain ? domainMatcher(params.domain) : undefined,
+            path: params.path,
+        };
+        const matches = (cookie) => (!filter.name || cookie.name === filter.name)
+            && (!filter.domain || filter.domain.test(cookie.domain))
+            && (!filter.path || cookie.path === filter.path);
+        const deleted = (await browserContext.cookies()).filter(matches);
+        response.addCode(`await page.context().clearCookies(${renderFilter(filter)});`);
+        await browserContext.clearCookies(filter);
+        response.addResult(JSON.stringify({ deleted: deleted.map(({ name, domain, path }) => ({ name, domain, path })) }, null, 2));
+    },
+});
+const clearCookies = defineTool({
+    capability: 'core',
+    schema: {
+        name: 'browser_cookies_clear',
+        title: 'Clear cookies',
+        description: 'Delete all cookies of the browser context',
+        inputSchema: z.object({}),
+        type: 'destructive',
+    },
+    handle: async (context, params, response) => {
+        const browserContext = await context.browserContext();
+        const count = (await browserContext.cookies()).length;
+        response.addCode(`await page.context().clearCookies();`);
+        await browserContext.clearCookies();
+        response.addResult(JSON.stringify({ deleted: count }, null, 2));
+    },
+});
+/**
+ * Matches the cookie domain with and without the leading dot that marks domain cookies.
+ */
+function domainMatcher(domain) {
+    const escaped = domain.replace(/^\./, '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`^\\.?${escaped}$`);
+}
+function renderFilter(filter) {
+    const tokens = Object.entries(filter)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => `${key}: ${value instanceof RegExp ? String(value) : javascript.quote(value)}`);
+    return `{ ${tokens.join(', ')} }`;
+}
+export default [
+    listCookies,
+    setCookie,
+    deleteCookies,
+    clearCookies,
+];
@@ -17,6 +17,7 @@ import { z } from 'zod';
 import { defineTabTool } from './tool.js';
 const handleDialog = defineTabTool({
     capability: 'core',
+    snapshot: true,
     schema: {
         name: 'browser_handle_dialog',
         title: 'Handle a dialog',
@@ -0,0 +1,189 @@
+/**
+ * Copyright (c) Microsoft Corporation.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import { z } from 'zod';
+import { defineTool } from './tool.js';
+import * as javascript from '../javascript.js';
+const setGeolocation = defineTool({
+    capability: 'core',
+    schema: {
+        name: 'browser_set_geolocation',
+        title: 'Set geolocation',
+        description: 'Emulate the geolocation of the browser, or reset it when latitude and longitude are omitted. Pages also need the "geolocation" permission, see browser_grant_permissions.',
+        inputSchema: z.object({
+            latitude: z.number().min(-90).max(90).optional().describe('Latitude between -90 and 90'),
+            longitude: z.number().min(-180).max(180).optional().describe('Longitude between -180 and 180'),
+            accuracy: z.number().min(0).optional().describe('Accuracy in meters (default: 0)'),
+        }),
+        type: 'destructive',
+    },
+    handle: async (context, params, response) => {
+        if ((params.latitude === undefined) !== (params.longitude === undefined))
+            throw new Error('Both latitude and longitude must be provided or neither');
+        const geolocation = params.latitude !== undefined ? { latitude: params.latitude, longitude: params.longitude, accuracy: params.accuracy } : undefined;
+        response.addCode(`await page.context().setGeolocation(${geolocation ? javascript.formatObject(geolocation) : 'null'});`);
+        await context.updateEmulation({ geolocation });
+        response.addResult(geolocation ? `Geolocation set to ${geolocation.latitude}, ${geolocation.longitude}` : 'Geolocation emulation reset');
+    },
+});
+const grantPermissions = defineTool({
+    capability: 'core',
+    schema: {
+        name: 'browser_grant_permissions',
+        title: 'Grant permissions',
+        description: 'Grant browser permissions such as "geolocation", "notifications", "camera", "microphone" or "clipboard-read" to all pages or to a single origin, without a prompt',
+        inputSchema: z.object({
+            permissions: z.array(z.string()).min(1).describe('Permissions to grant, e.g. ["geolocation", "notifications"]'),
+            origin: z.string().optional().describe('Origin to grant the permissions to, e.g. "https://example.com". Applies to all origins if not provided.'),
+        }),
+        type: 'destructive',
+    },
+    handle: async (context, params, response) => {
+        const optionsCode = params.origin ? `, { origin: ${javascript.quote(params.origin)} }` : '';
+        response.addCode(`await page.context().grantPermissions(${javascript.formatObject(params.permissions)}${optionsCode});`);
+        const permissions = [...(context.emulation().permissions ?? []), { permissions: params.permissions, origin: params.origin }];
+        await context.updateEmulation({ permissions });
+        response.addResult(`Granted ${params.permissions.join(', ')} to ${params.origin ?? 'all origins'}`);
+    },
+});
+const clearPermissions = defineTool({
+    capability: 'core',
+    schema: {
+        name: 'browser_clear_permissions',
+        title: 'Revoke permissions',
+        description: 'Revoke all permissions granted with browser_grant_permissions',
+        inputSchema: z.object({}),
+        type: 'destructive',
+    },
+    handle: async (context, params, response) => {
+        response.addCode(`await page.context().clearPermissions();`);
+        await context.updateEmulation({ permissions: [] });
+        response.addResult('Revoked all granted permissions');
+    },
+});
+const setOffline = defineTool({
+    capability: 'core',
+    schema: {
+        name: 'browser_set_offline',
+        title: 'Toggle offline mode',
+        description: 'Emulate the browser going offline or back online',
+        inputSchema: z.object({
+            offline: z.boolean().describe('Whether the browser is offline'),
+        }),
+        type: 'destructive',
+    },
+    handle: async (context, params, response) => {
+        response.addCode(`await page.context().setOffline(${params.offline});`);
+        await context.updateEmulation({ offline: params.offline });
+        response.addResult(params.offline ? 'Browser is offline' : 'Browser is online');
+    },
+});
+const setExtraHeaders = defineTool({
+    capability: 'core',
+    schema: {
+        name: 'browser_set_extra_headers',
+        title: 'Set extra HTTP headers',
+        description: 'Send additional HTTP headers with every request of the browser, replacing the headers set before. Pass an empty object to stop sending them.',
+        inputSchema: z.object({
+            headers: z.record(z.string()).describe('Headers to send, e.g. {"Accept-Language": "de-DE"}'),
+        }),
+        type: 'destructive',
+    },
+    handle: async (context, params, response) => {
+        response.addCode(`await page.context().setExtraHTTPHeaders(${javascript.formatObject(params.headers)});`);
+        await context.updateEmulation({ extraHTTPHeaders: params.headers });
+        const names = Object.keys(params.headers);
+        response.addResult(names.length ? `Sending extra headers: ${names.join(', ')}` : 'Stopped sending extra headers');
+    },
+});
+const emulateMedia = defineTool({
+    capability: 'core',
+    snapshot: true,
+    schema: {
+        name: 'browser_emulate_media',
+        title: 'Emulate media features',
+        description: 'Emulate CSS media type and features of all pages, such as prefers-color-scheme or prefers-reduced-motion. Options that are not provided keep their current value, pass null to reset one to the browser default.',
+        inputSchema: z.object({
+            colorScheme: z.enum(['light', 'dark', 'no-preference']).nullable().optional().describe('Emulated prefers-color-scheme'),
+            reducedMotion: z.enum(['reduce', 'no-preference']).nullable().optional().describe('Emulated prefers-reduced-motion'),
+            forcedColors: z.enum(['active', 'none']).nullable().optional().describe('Emulated forced-colors'),
+            media: z.enum(['screen', 'print']).nullable().optional().describe('Emulated CSS media type'),
+        }),
+        type: 'destructive',
+    },
+    handle: async (context, params, response) => {
+        const media = { ...context.emulation().media };
+        for (const key of ['colorScheme', 'reducedMotion', 'forcedColors', 'media']) {
+            if (params[key] !== undefined)
+                media[key] = params[key];
+        }
+        const mediaCode = Object.entries(media).map(([key, value]) => `${key}: ${value === null ? 'null' : javascript.quote(value)}`);
+        response.addCode(`await page.emulateMedia({ ${mediaCode.join(', ')} });`);
+        await context.updateEmulation({ media });
+        if (context.currentTab())
+            response.setIncludeSnapshot();
+        const entries = Object.entries(media).map(([key, value]) => `${key}=${value ?? 'default'}`);
+        response.addResult(entries.length ? `Emulating ${entries.join(', ')}` : 'No media emulation');
+    },
+});
+const setLocaleAndTimezone = defineTool({
+    capability: 'core',
+    snapshot: true,
+    schema: {
+        name: 'browser_set_locale_timezone',
+        title: 'Set locale and timezone',
+        description: 'Change the locale and/or timezone of the browser. This requires a new browser context: open pages are closed, and the current page is reopened with the new settings.',
+        inputSchema: z.object({
+            locale: z.string().optional().describe('Locale, e.g. "de-DE". Affects navigator.language, the Accept-Language header and number and date formatting.'),
+            timezoneId: z.string().optional().describe('IANA timezone id, e.g. "Europe/Berlin"'),
+        }),
+        type: 'destructive',
+    },
+    handle: async (context, params, response) => {
+        if (!params.locale && !params.timezoneId)
+            throw new Error('Provide locale and/or timezoneId');
+        // Fail early on bad values instead of when the new browser context is created.
+        if (params.locale)
+            Intl.getCanonicalLocales(params.locale);
+        if (params.timezoneId)
+            new Intl.DateTimeFormat('en-US', { timeZone: params.timezoneId });
+        const contextOptions = {
+            locale: params.locale,
+            timezoneId: params.timezoneId,
+        };
+        for (const key of Object.keys(contextOptions)) {
+            if (contextOptions[key] === undefined)
+                delete contextOptions[key];
+        }
+        response.addCode(`const context = await browser.newContext(${javascript.formatObject(contextOptions)});`);
+        const recreated = await context.setContextOptions(contextOptions);
+        const settings = Object.entries(contextOptions).map(([key, value]) => `${key}=${value}`).join(', ');
+        if (recreated) {
+            response.addResult(`Recreated the browser context with ${settings}, pages opened before were closed and the current page was reopened`);
+            response.setIncludeSnapshot();
+        } else {
+            response.addResult(`The browser will be launched with ${settings}`);
+        }
+    },
+});
+export default [
+    setGeolocation,
+    grantPermissions,
+    clearPermissions,
+    setOffline,
+    setExtraHeaders,
+    emulateMedia,
+    setLocaleAndTimezone,
+];
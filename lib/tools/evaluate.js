@@ -24,6 +24,7 @@ const evaluateSchema = z.object({
 });
 const evaluate = defineTabTool({
     capability: 'core',
+    snapshot: true,
     schema: {
         name: 'browser_evaluate',
         title: 'Evaluate JavaScript',
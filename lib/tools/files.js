@@ -17,6 +17,7 @@ import { z } from 'zod';
 import { defineTabTool } from './tool.js';
 const uploadFile = defineTabTool({
     capability: 'core',
+    snapshot: true,
     schema: {
         name: 'browser_file_upload',
         title: 'Upload files',
@@ -0,0 +1,125 @@
+/**
+ * Copyright (c) Microsoft Corporation.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import { z } from 'zod';
+import { defineTabTool } from './tool.js';
+import { elementSchema, selectOptions } from './snapshot.js';
+import { generateLocator } from './utils.js';
+import * as javascript from '../javascript.js';
+const fieldSchema = elementSchema.extend({
+    type: z.enum(['textbox', 'checkbox', 'radio', 'combobox', 'slider', 'date']).describe('Type of the field'),
+    value: z.string().describe('Value to fill in. For checkboxes use "true" or "false", for radio buttons "true" selects the option, for comboboxes the option value or label, for dates the YYYY-MM-DD format.'),
+});
+const fillForm = defineTabTool({
+    capability: 'core',
+    snapshot: true,
+    schema: {
+        name: 'browser_fill_form',
+        title: 'Fill form',
+        description: 'Fill multiple form fields in a single call. Supports text inputs, checkboxes, radio buttons, dropdowns, sliders and date inputs. Fields that fail are reported individually and do not stop the remaining fields from being filled.',
+        inputSchema: z.object({
+            fields: z.array(fieldSchema).min(1).describe('Fields to fill in, in order'),
+        }),
+        type: 'destructive',
+    },
+    handle: async (tab, params, response) => {
+        response.setIncludeSnapshot();
+        const failures = [];
+        await tab.waitForCompletion(async () => {
+            for (const field of params.fields) {
+                try {
+                    const locator = await tab.refLocator(field);
+                    await fillField(tab, locator, field, response);
+                    response.addResult(`Filled ${field.type} "${field.element}"`);
+                }
+                catch (error) {
+                    failures.push(field);
+                    response.addResult(`Failed to fill ${field.type} "${field.element}" (ref ${field.ref}): ${error}`);
+                }
+            }
+        });
+        if (failures.length === params.fields.length)
+            response.addError(`Error: None of the ${params.fields.length} fields could be filled`);
+        else if (failures.length)
+            response.addResult(`Filled ${params.fields.length - failures.length} of ${params.fields.length} fields`);
+    },
+});
+async function fillField(tab, locator, field, response) {
+    const locatorCode = `page.${await generateLocator(locator)}`;
+    switch (field.type) {
+        case 'textbox':
+        case 'date':
+            response.addCode(`await ${locatorCode}.fill(${javascript.quote(field.value)});`);
+            await locator.fill(field.value);
+            break;
+        case 'checkbox': {
+            const checked = parseBoolean(field.value);
+            response.addCode(`await ${locatorCode}.setChecked(${checked});`);
+            await locator.setChecked(checked);
+            break;
+        }
+        case 'radio':
+            if (!parseBoolean(field.value))
+                throw new Error('Radio buttons can only be selected, use "true" as the value');
+            response.addCode(`await ${locatorCode}.check();`);
+            await locator.check();
+            break;
+        case 'combobox':
+            await selectOptions(tab, locator, [field.value], response);
+            break;
+        case 'slider':
+            await setSliderValue(locator, locatorCode, field.value, response);
+            break;
+    }
+}
+async function setSliderValue(locator, locatorCode, value, response) {
+    const isNativeRange = await locator.evaluate(element => element instanceof HTMLInputElement && element.type === 'range');
+    if (isNativeRange) {
+        response.addCode(`await ${locatorCode}.fill(${javascript.quote(value)});`);
+        await locator.fill(value);
+        return;
+    }
+    // ARIA sliders only react to keyboard input, step towards the target value.
+    const target = Number(value);
+    if (isNaN(target))
+        throw new Error(`Invalid slider value "${value}", expected a number`);
+    const readValue = async () => Number(await locator.getAttribute('aria-valuenow'));
+    let current = await readValue();
+    if (isNaN(current))
+        throw new Error('Slider does not expose aria-valuenow');
+    const key = target > current ? 'ArrowRight' : 'ArrowLeft';
+    let presses = 0;
+    while (current !== target && presses < 1000) {
+        await locator.press(key);
+        presses++;
+        const next = await readValue();
+        if (next === current || (key === 'ArrowRight' ? next > target : next < target))
+            break;
+        current = next;
+    }
+    if (presses)
+        response.addCode(`for (let i = 0; i < ${presses}; i++)\n  await ${locatorCode}.press('${key}');`);
+}
+function parseBoolean(value) {
+    const normalized = value.trim().toLowerCase();
+    if (normalized === 'true' || normalized === 'checked' || normalized === 'on')
+        return true;
+    if (normalized === 'false' || normalized === 'unchecked' || normalized === 'off')
+        return false;
+    throw new Error(`Invalid boolean value "${value}", expected "true" or "false"`);
+}
+export default [
+    fillForm,
+];
@@ -0,0 +1,57 @@
+/**
+ * Copyright (c) Microsoft Corporation.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import { z } from 'zod';
+import { defineTool } from './tool.js';
+import * as javascript from '../javascript.js';
+const startHar = defineTool({
+    capability: 'core',
+    schema: {
+        name: 'browser_har_start',
+        title: 'Start HAR recording',
+        description: 'Start recording the network traffic of the browser context into a HAR file in the output directory. The file is written when recording is stopped with browser_har_stop or when the browser is closed. Tools that recreate the browser context, such as changing the locale or loading a storage state, fail while recording. Not available when the whole session is recorded with --save-har.',
+        inputSchema: z.object({
+            filename: z.string().optional().describe('File name to save the HAR to. Defaults to `traffic-{timestamp}.har` if not specified. Use a `.zip` extension to store response bodies as separate files.'),
+            urlFilter: z.string().optional().describe('Only record requests with URLs matching this glob pattern'),
+        }),
+        type: 'destructive',
+    },
+    handle: async (context, params, response) => {
+        const fileName = await context.outputFile(params.filename ?? `traffic-${new Date().toISOString()}.har`);
+        const recording = await context.startHarRecording(fileName, { urlFilter: params.urlFilter });
+        response.addCode(`await page.context().routeFromHAR(${javascript.quote(fileName)}, ${javascript.formatObject({ update: true, updateContent: recording.updateContent, updateMode: 'full', url: params.urlFilter })});`);
+        response.addResult(`Started recording network traffic to ${fileName}`);
+    },
+});
+const stopHar = defineTool({
+    capability: 'core',
+    schema: {
+        name: 'browser_har_stop',
+        title: 'Stop HAR recording',
+        description: 'Stop the HAR recording started with browser_har_start and write the HAR file. The browser context is recreated to write the file, so only the current page is reopened. A --save-har recording cannot be stopped, it is written when the browser is closed.',
+        inputSchema: z.object({}),
+        type: 'destructive',
+    },
+    handle: async (context, params, response) => {
+        const recording = await context.stopHarRecording();
+        response.addCode(`// HAR is written to ${recording.path} when the context is closed`);
+        response.addCode(`await page.context().close();`);
+        response.addResult(`Saved network traffic to ${recording.path}`);
+    },
+});
+export default [
+    startHar,
+    stopHar,
+];
@@ -13,126 +13,147 @@
  * See the License for the specific language governing permissions and
  * limitations under the License.
  */
+import fs from 'fs';
+import path from 'path';
 import { z } from 'zod';
-import { defineTabTool } from './tool.js';
+import { defineTool } from './tool.js';
+import * as javascript from '../javascript.js';
+import { checkNetworkPolicy, describeNetworkPolicyViolation } from '../networkPolicy.js';
 
-const httpRequest = defineTabTool({
+const httpRequest = defineTool({
     capability: 'core',
     schema: {
         name: 'browser_http_request',
         title: 'Make HTTP Request',
-        description: 'Make HTTP requests (GET, POST, PUT, DELETE, PATCH) with custom headers and body',
+        description: 'Make HTTP requests (GET, POST, PUT, DELETE, PATCH, HEAD, OPTIONS) with custom headers and a text, JSON, form, multipart or binary body. When a page is open, requests are sent through the browser context by default, sharing its cookies, proxy, user agent and HTTPS settings, and cookies set by the response are stored in the browser session.',
         inputSchema: z.object({
             url: z.string().url()
                 .describe('The URL to make the request to'),
-            method: z.enum(['GET', 'POST', 'PUT', 'DELETE', 'PATCH']).default('GET')
+            method: z.enum(['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'HEAD', 'OPTIONS']).default('GET')
                 .describe('HTTP method to use'),
             headers: z.record(z.string()).optional()
                 .describe('Custom headers to include in the request (e.g., {"Authorization": "Bearer token", "Content-Type": "application/json"})'),
             body: z.string().optional()
                 .describe('Request body (for POST, PUT, PATCH methods). Can be JSON string, form data, or plain text'),
+            json: z.any().optional()
+                .describe('JSON value to send as the request body, with Content-Type application/json. Use instead of body.'),
+            form: z.record(z.string()).optional()
+                .describe('Form fields to send URL-encoded, with Content-Type application/x-www-form-urlencoded. Use instead of body.'),
+            multipart: z.array(z.object({
+                name: z.string().describe('Field name'),
+                value: z.string().optional().describe('Field value, for text fields'),
+                path: z.string().optional().describe('Absolute path of a local file to upload, for file fields'),
+                filename: z.string().optional().describe('File name to send, defaults to the base name of path'),
+                contentType: z.string().optional().describe('Content type of the file, defaults to application/octet-stream'),
+            })).optional()
+                .describe('Fields to send as multipart/form-data, each with either a value or a file path. Use instead of body.'),
+            base64Body: z.string().optional()
+                .describe('Binary request body encoded as base64, sent with Content-Type application/octet-stream unless set in headers. Use instead of body.'),
+            saveResponseTo: z.string().optional()
+                .describe('File name to save the raw response body to, in the output directory. Use for binary responses such as images or archives.'),
             timeout: z.number().min(1000).max(60000).default(10000).optional()
                 .describe('Request timeout in milliseconds (default: 10000, max: 60000)'),
             followRedirects: z.boolean().default(true).optional()
-                .describe('Whether to follow HTTP redirects (default: true)')
+                .describe('Whether to follow HTTP redirects (default: true)'),
+            mode: z.enum(['browser', 'node']).optional()
+                .describe('Send the request through the browser context ("browser"), sharing its cookies and session, or as a standalone request ("node"). Defaults to "browser" when a page is open, "node" otherwise.')
         }),
         type: 'destructive',
     },
-    handle: async (tab, params, response) => {
+    handle: async (context, params, response) => {
+        const mode = params.mode ?? (context.currentTab() ? 'browser' : 'node');
+        // `.default().optional()` lets an omitted timeout through as undefined.
+        params = { ...params, timeout: params.timeout ?? 10000 };
         try {
-            // Prepare request options
-            const requestOptions = {
-                method: params.method,
-                headers: {
-                    'User-Agent': 'MCP-Playwright-Browser/1.0',
-                    ...(params.headers || {})
-                },
-                redirect: params.followRedirects ? 'follow' : 'manual'
-            };
+            // Prepare request headers and body
+            const headers = { ...(params.headers || {}) };
+            const requestBody = await prepareBody(params, headers);
+            const body = requestBody?.body;
 
-            // Add body for methods that support it
-            if (params.body && ['POST', 'PUT', 'PATCH'].includes(params.method)) {
-                requestOptions.body = params.body;
-                
-                // Set default Content-Type if not provided
-                if (!requestOptions.headers['Content-Type'] && !requestOptions.headers['content-type']) {
-                    // Try to detect if it's JSON
-                    try {
-                        JSON.parse(params.body);
-                        requestOptions.headers['Content-Type'] = 'application/json';
-                    } catch {
-                        requestOptions.headers['Content-Type'] = 'text/plain';
-                    }
+            const startTime = Date.now();
+
+            // Make the HTTP request, following redirects manually so that every hop is checked against the network policy
+            response.addCode(mode === 'browser' ? renderBrowserCode(params, headers, requestBody) : renderNodeCode(context, params, headers, requestBody));
+            let request = { url: params.url, method: params.method, headers, body };
+            let result;
+            const redirects = [];
+            for (;;) {
+                const violation = checkNetworkPolicy(context.config.network, new URL(request.url).href);
+                if (violation) {
+                    response.addError(JSON.stringify({
+                        error: 'blocked_by_network_policy',
+                        message: describeNetworkPolicyViolation(violation),
+                        ...violation,
+                    }, null, 2));
+                    return;
                 }
+                result = mode === 'browser'
+                    ? await browserRequest(context, request, params.timeout)
+                    : await nodeRequest(context, request, params.timeout);
+                const location = result.headers['location'];
+                if (params.followRedirects === false || !redirectStatuses.includes(result.status) || !location)
+                    break;
+                if (redirects.length >= maxRedirects)
+                    throw new Error(`Too many redirects (${maxRedirects})`);
+                redirects.push(redirectHop(request, result));
+                request = redirectRequest(request, result.status, new URL(location, request.url).href);
             }
 
-            // Create AbortController for timeout
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), params.timeout);
-            requestOptions.signal = controller.signal;
-
-            response.addCode(`Making ${params.method} request to: ${params.url}`);
-            
-            const startTime = Date.now();
-            
-            // Make the HTTP request
-            const fetchResponse = await fetch(params.url, requestOptions);
-            
-            clearTimeout(timeoutId);
-            
             const endTime = Date.now();
             const duration = endTime - startTime;
 
-            // Get response headers
-            const responseHeaders = {};
-            fetchResponse.headers.forEach((value, key) => {
-                responseHeaders[key] = value;
-            });
-
             // Get response body
             let responseBody;
-            const contentType = fetchResponse.headers.get('content-type') || '';
-            
-            try {
-                if (contentType.includes('application/json')) {
-                    responseBody = await fetchResponse.json();
-                } else if (contentType.includes('text/') || contentType.includes('application/xml')) {
-                    responseBody = await fetchResponse.text();
-                } else {
-                    // For binary content, get as text but indicate it might be binary
-                    const text = await fetchResponse.text();
-                    responseBody = text.length > 1000 ? 
-                        `[Binary/Large content - ${text.length} characters]` : 
-                        text;
+            const contentType = result.headers['content-type'] || '';
+
+            if (params.saveResponseTo) {
+                const fileName = await context.outputFile(params.saveResponseTo);
+                await fs.promises.writeFile(fileName, result.body);
+                responseBody = `[Saved ${result.body.length} bytes to ${fileName}]`;
+            } else {
+                try {
+                    const text = result.body.toString('utf8');
+                    if (contentType.includes('application/json')) {
+                        responseBody = text.length ? JSON.parse(text) : text;
+                    } else if (contentType.includes('text/') || contentType.includes('application/xml')) {
+                        responseBody = text;
+                    } else {
+                        // For binary content, only return short bodies inline
+                        responseBody = text.length > 1000 ?
+                            `[Binary/Large content - ${result.body.length} bytes of ${contentType || 'unknown type'}, use saveResponseTo to save it to a file]` :
+                            text;
+                    }
+                } catch (error) {
+                    responseBody = `[Error reading response body: ${error.message}]`;
                 }
-            } catch (error) {
-                responseBody = `[Error reading response body: ${error.message}]`;
             }
 
             // Prepare the result
-            const result = {
-                status: fetchResponse.status,
-                statusText: fetchResponse.statusText,
-                ok: fetchResponse.ok,
-                url: fetchResponse.url,
-                headers: responseHeaders,
+            const output = {
+                status: result.status,
+                statusText: result.statusText,
+                ok: result.status >= 200 && result.status < 300,
+                url: result.url,
+                headers: result.headers,
                 body: responseBody,
                 duration: `${duration}ms`,
-                redirected: fetchResponse.redirected
+                redirected: redirects.length > 0,
+                redirectChain: redirectChain(redirects, request, result, params.followRedirects),
+                mode,
             };
 
-            response.addResult(JSON.stringify(result, null, 2));
-            
+            response.addResult(JSON.stringify(output, null, 2));
+
             // Add summary
-            const summary = `HTTP ${params.method} ${fetchResponse.status} ${fetchResponse.statusText} (${duration}ms)`;
+            const summary = `// HTTP ${params.method} ${result.status} ${result.statusText} (${duration}ms)`;
             response.addCode(summary);
 
         } catch (error) {
-            if (error.name === 'AbortError') {
+            if (error.name === 'AbortError' || error.name === 'TimeoutError') {
                 response.addError(`Request timeout after ${params.timeout}ms`);
-            } else if (error.code === 'ENOTFOUND') {
+            } else if (error.code === 'ENOTFOUND' || error.message?.includes('ENOTFOUND')) {
                 response.addError(`DNS resolution failed for URL: ${params.url}`);
-            } else if (error.code === 'ECONNREFUSED') {
+            } else if (error.code === 'ECONNREFUSED' || error.message?.includes('ECONNREFUSED')) {
                 response.addError(`Connection refused to: ${params.url}`);
             } else {
                 response.addError(`HTTP request failed: ${error.message}`);
@@ -141,6 +162,224 @@ const httpRequest = defineTabTool({
     },
 });
 
+const redirectStatuses = [301, 302, 303, 307, 308];
+const maxRedirects = 20;
+
+/**
+ * Builds the request for the next redirect hop, following the fetch spec: 303, and 301/302
+ * after a POST, switch to a body-less GET, and credentials are not sent to another origin.
+ */
+function redirectRequest(request, status, location) {
+    const headers = { ...request.headers };
+    let { method, body } = request;
+    if (status === 303 && method !== 'HEAD' || (status === 301 || status === 302) && method === 'POST') {
+        method = 'GET';
+        body = undefined;
+        for (const name of Object.keys(headers)) {
+            if (name.toLowerCase() === 'content-type')
+                delete headers[name];
+        }
+    }
+    if (new URL(location).origin !== new URL(request.url).origin) {
+        for (const name of Object.keys(headers)) {
+            if (name.toLowerCase() === 'authorization')
+                delete headers[name];
+        }
+    }
+    return { url: location, method, headers, body };
+}
+
+/**
+ * Returns the redirect hops that were followed. When redirects are not followed, the raw redirect
+ * response is reported as the only hop, so that its Location can be inspected.
+ */
+function redirectChain(redirects, request, result, followRedirects) {
+    if (followRedirects === false && redirectStatuses.includes(result.status))
+        return [redirectHop(request, result)];
+    return redirects.length ? redirects : undefined;
+}
+
+function redirectHop(request, result) {
+    const location = result.headers['location'];
+    return {
+        url: request.url,
+        method: request.method,
+        status: result.status,
+        location: location ? new URL(location, request.url).href : undefined,
+    };
+}
+
+/**
+ * Encodes the body given by one of the body parameters, and sets the Content-Type header unless
+ * provided. Returns undefined for methods without a body.
+ */
+async function prepareBody(params, headers) {
+    const bodyParams = ['body', 'json', 'form', 'multipart', 'base64Body'].filter(name => params[name] !== undefined);
+    if (bodyParams.length > 1)
+        throw new Error(`Only one of ${bodyParams.join(', ')} can be provided`);
+    if (!bodyParams.length || !['POST', 'PUT', 'PATCH'].includes(params.method))
+        return undefined;
+    const hasContentType = Object.keys(headers).some(name => name.toLowerCase() === 'content-type');
+    const setContentType = (contentType) => {
+        if (!hasContentType)
+            headers['Content-Type'] = contentType;
+    };
+
+    if (params.body !== undefined) {
+        // Try to detect if it's JSON
+        try {
+            JSON.parse(params.body);
+            setContentType('application/json');
+        } catch {
+            setContentType('text/plain');
+        }
+        return { body: params.body, code: javascript.quote(params.body) };
+    }
+    if (params.json !== undefined) {
+        setContentType('application/json');
+        return { body: JSON.stringify(params.json), code: `JSON.stringify(${JSON.stringify(params.json)})` };
+    }
+    if (params.form) {
+        setContentType('application/x-www-form-urlencoded');
+        return { body: new URLSearchParams(params.form).toString(), code: `new URLSearchParams(${JSON.stringify(params.form)}).toString()` };
+    }
+    if (params.base64Body !== undefined) {
+        setContentType('application/octet-stream');
+        return { body: Buffer.from(params.base64Body, 'base64'), code: `Buffer.from(${javascript.quote(params.base64Body)}, 'base64')` };
+    }
+
+    // Let the platform encode the multipart body, so that the boundary matches the Content-Type.
+    const formData = new FormData();
+    const setup = ['const formData = new FormData();'];
+    for (const part of params.multipart) {
+        if ((part.value === undefined) === (part.path === undefined))
+            throw new Error(`Multipart field "${part.name}" needs either a value or a path`);
+        if (part.value !== undefined) {
+            formData.append(part.name, part.value);
+            setup.push(`formData.append(${javascript.quote(part.name)}, ${javascript.quote(part.value)});`);
+            continue;
+        }
+        const contentType = part.contentType ?? 'application/octet-stream';
+        const filename = part.filename ?? path.basename(part.path);
+        formData.append(part.name, new Blob([await fs.promises.readFile(part.path)], { type: contentType }), filename);
+        setup.push(`formData.append(${javascript.quote(part.name)}, new Blob([fs.readFileSync(${javascript.quote(part.path)})], { type: ${javascript.quote(contentType)} }), ${javascript.quote(filename)});`);
+    }
+    const encoded = new Request('http://localhost/', { method: 'POST', body: formData });
+    for (const name of Object.keys(headers)) {
+        if (name.toLowerCase() === 'content-type')
+            delete headers[name];
+    }
+    headers['Content-Type'] = encoded.headers.get('content-type');
+    return { body: Buffer.from(await encoded.arrayBuffer()), code: 'formData', setup, multipart: true };
+}
+
+/**
+ * Renders the request as a call with a JSON-formatted options object, inserting the body code after the headers.
+ */
+function renderCall(call, url, options, bodyKey, requestBody) {
+    const entries = Object.entries(options).filter(([, value]) => value !== undefined)
+        .map(([key, value]) => `  ${JSON.stringify(key)}: ${JSON.stringify(value, null, 2).replace(/\n/g, '\n  ')}`);
+    if (requestBody)
+        entries.splice(2, 0, `  ${JSON.stringify(bodyKey)}: ${requestBody.code}`);
+    return [
+        ...(requestBody?.setup ?? []),
+        `const response = await ${call}(${javascript.quote(url)}, {`,
+        entries.join(',\n'),
+        '});',
+    ].join('\n');
+}
+
+function renderBrowserCode(params, headers, requestBody) {
+    const options = {
+        method: params.method,
+        // FormData sets its own Content-Type with the boundary.
+        headers: requestBody?.multipart ? withoutContentType(headers) : headers,
+        timeout: params.timeout,
+        maxRedirects: params.followRedirects === false ? 0 : undefined,
+        failOnStatusCode: false,
+    };
+    return renderCall('page.context().request.fetch', params.url, options, requestBody?.multipart ? 'multipart' : 'data', requestBody);
+}
+
+function renderNodeCode(context, params, headers, requestBody) {
+    const options = {
+        method: params.method,
+        headers: nodeRequestHeaders(context, requestBody?.multipart ? withoutContentType(headers) : headers),
+        redirect: params.followRedirects === false ? 'manual' : 'follow',
+    };
+    return renderCall('fetch', params.url, options, 'body', requestBody);
+}
+
+function withoutContentType(headers) {
+    return Object.fromEntries(Object.entries(headers).filter(([name]) => name.toLowerCase() !== 'content-type'));
+}
+
+/**
+ * Sends a single request, without following redirects, through the APIRequestContext of the browser
+ * context, so that cookies, proxy, user agent and ignoreHTTPSErrors from the context options apply.
+ */
+async function browserRequest(context, request, timeout) {
+    const tab = await context.ensureTab();
+    const apiResponse = await tab.page.context().request.fetch(request.url, {
+        method: request.method,
+        headers: request.headers,
+        data: request.body,
+        timeout,
+        maxRedirects: 0,
+        failOnStatusCode: false,
+    });
+    try {
+        return {
+            status: apiResponse.status(),
+            statusText: apiResponse.statusText(),
+            url: apiResponse.url(),
+            headers: apiResponse.headers(),
+            body: await apiResponse.body(),
+        };
+    } finally {
+        await apiResponse.dispose();
+    }
+}
+
+function nodeRequestHeaders(context, headers) {
+    return {
+        'User-Agent': context.config.browser?.contextOptions?.userAgent ?? 'MCP-Playwright-Browser/1.0',
+        ...headers
+    };
+}
+
+/**
+ * Sends a single request, without following redirects, with the fetch API of Node.
+ */
+async function nodeRequest(context, request, timeout) {
+    // Create AbortController for timeout
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+    try {
+        const fetchResponse = await fetch(request.url, {
+            method: request.method,
+            headers: nodeRequestHeaders(context, request.headers),
+            body: request.body,
+            redirect: 'manual',
+            signal: controller.signal,
+        });
+        // Get response headers
+        const responseHeaders = {};
+        fetchResponse.headers.forEach((value, key) => {
+            responseHeaders[key] = value;
+        });
+        return {
+            status: fetchResponse.status,
+            statusText: fetchResponse.statusText,
+            url: fetchResponse.url,
+            headers: responseHeaders,
+            body: Buffer.from(await fetchResponse.arrayBuffer()),
+        };
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
 export default [
     httpRequest,
-];
\ No newline at end of file
+];
@@ -21,6 +21,7 @@ import { generateLocator } from './utils.js';
 // Scroll to top or bottom of page
 const scrollPage = defineTabTool({
     capability: 'core',
+    snapshot: true,
     schema: {
         name: 'browser_scroll_page',
         title: 'Scroll to top or bottom of page',
@@ -64,6 +65,7 @@ const scrollPage = defineTabTool({
 // Control element focus (focus or blur)
 const elementFocusControl = defineTabTool({
     capability: 'core',
+    snapshot: true,
     schema: {
         name: 'browser_element_focus',
         title: 'Control element focus',
@@ -20,6 +20,7 @@ import { generateLocator } from './utils.js';
 import * as javascript from '../javascript.js';
 const pressKey = defineTabTool({
     capability: 'core',
+    snapshot: true,
     schema: {
         name: 'browser_press_key',
         title: 'Press a key',
@@ -45,6 +46,7 @@ const typeSchema = elementSchema.extend({
 });
 const type = defineTabTool({
     capability: 'core',
+    snapshot: true,
     schema: {
         name: 'browser_type',
         title: 'Type text',
@@ -0,0 +1,160 @@
+/**
+ * Copyright (c) Microsoft Corporation.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import { z } from 'zod';
+import { defineTabTool } from './tool.js';
+import * as javascript from '../javascript.js';
+const elementSchema = z.object({
+    element: z.string().describe('Human-readable element description used to obtain permission to interact with the element'),
+});
+const coordinatesSchema = elementSchema.extend({
+    x: z.number().describe('X coordinate in CSS pixels, as seen on the latest screenshot'),
+    y: z.number().describe('Y coordinate in CSS pixels, as seen on the latest screenshot'),
+});
+const mouseMove = defineTabTool({
+    capability: 'vision',
+    schema: {
+        name: 'browser_mouse_move_xy',
+        title: 'Move mouse',
+        description: 'Move the mouse to a given position on the page. Use coordinates from browser_take_screenshot.',
+        inputSchema: coordinatesSchema,
+        type: 'readOnly',
+    },
+    handle: async (tab, params, response) => {
+        response.addCode(`// Move mouse to (${params.x}, ${params.y})`);
+        response.addCode(`await page.mouse.move(${params.x}, ${params.y});`);
+        await tab.waitForCompletion(async () => {
+            await tab.page.mouse.move(params.x, params.y);
+        });
+    },
+});
+const mouseClick = defineTabTool({
+    capability: 'vision',
+    snapshot: true,
+    schema: {
+        name: 'browser_mouse_click_xy',
+        title: 'Click at position',
+        description: 'Click at a given position on the page. Use coordinates from browser_take_screenshot, useful for canvas apps and elements missing from the page snapshot.',
+        inputSchema: coordinatesSchema.extend({
+            button: z.enum(['left', 'right', 'middle']).optional().describe('Button to click, defaults to left'),
+            doubleClick: z.boolean().optional().describe('Whether to perform a double click instead of a single click'),
+        }),
+        type: 'destructive',
+    },
+    handle: async (tab, params, response) => {
+        response.setIncludeSnapshot();
+        const options = {
+            button: params.button,
+            clickCount: params.doubleClick ? 2 : undefined,
+        };
+        const optionsCode = params.button || params.doubleClick ? `, ${javascript.formatObject(options)}` : '';
+        response.addCode(`// Click at (${params.x}, ${params.y})`);
+        response.addCode(`await page.mouse.click(${params.x}, ${params.y}${optionsCode});`);
+        await tab.waitForCompletion(async () => {
+            await tab.page.mouse.click(params.x, params.y, options);
+        });
+    },
+});
+const mouseDrag = defineTabTool({
+    capability: 'vision',
+    snapshot: true,
+    schema: {
+        name: 'browser_mouse_drag_xy',
+        title: 'Drag mouse between positions',
+        description: 'Press the left mouse button at the start position, move to the end position and release it. Use coordinates from browser_take_screenshot.',
+        inputSchema: elementSchema.extend({
+            startX: z.number().describe('Start X coordinate in CSS pixels'),
+            startY: z.number().describe('Start Y coordinate in CSS pixels'),
+            endX: z.number().describe('End X coordinate in CSS pixels'),
+            endY: z.number().describe('End Y coordinate in CSS pixels'),
+        }),
+        type: 'destructive',
+    },
+    handle: async (tab, params, response) => {
+        response.setIncludeSnapshot();
+        response.addCode(`// Drag mouse from (${params.startX}, ${params.startY}) to (${params.endX}, ${params.endY})`);
+        response.addCode(`await page.mouse.move(${params.startX}, ${params.startY});`);
+        response.addCode(`await page.mouse.down();`);
+        response.addCode(`await page.mouse.move(${params.endX}, ${params.endY}, { steps: 10 });`);
+        response.addCode(`await page.mouse.up();`);
+        await tab.waitForCompletion(async () => {
+            await tab.page.mouse.move(params.startX, params.startY);
+            await tab.page.mouse.down();
+            await tab.page.mouse.move(params.endX, params.endY, { steps: 10 });
+            await tab.page.mouse.up();
+        });
+    },
+});
+const mouseWheel = defineTabTool({
+    capability: 'vision',
+    snapshot: true,
+    schema: {
+        name: 'browser_mouse_wheel',
+        title: 'Scroll mouse wheel',
+        description: 'Scroll the mouse wheel by the given delta. Optionally moves the mouse to a position first, so that the element under the cursor is scrolled.',
+        inputSchema: elementSchema.extend({
+            deltaX: z.number().default(0).describe('Horizontal scroll distance in pixels'),
+            deltaY: z.number().default(0).describe('Vertical scroll distance in pixels, positive values scroll down'),
+            x: z.number().optional().describe('X coordinate to move the mouse to before scrolling'),
+            y: z.number().optional().describe('Y coordinate to move the mouse to before scrolling'),
+        }),
+        type: 'destructive',
+    },
+    handle: async (tab, params, response) => {
+        if ((params.x === undefined) !== (params.y === undefined))
+            throw new Error('Both x and y must be provided or neither');
+        response.setIncludeSnapshot();
+        if (params.x !== undefined)
+            response.addCode(`await page.mouse.move(${params.x}, ${params.y});`);
+        response.addCode(`await page.mouse.wheel(${params.deltaX}, ${params.deltaY});`);
+        await tab.waitForCompletion(async () => {
+            if (params.x !== undefined)
+                await tab.page.mouse.move(params.x, params.y);
+            await tab.page.mouse.wheel(params.deltaX, params.deltaY);
+        });
+    },
+});
+const keyboardType = defineTabTool({
+    capability: 'vision',
+    snapshot: true,
+    schema: {
+        name: 'browser_keyboard_type',
+        title: 'Type text at focus',
+        description: 'Type text into the currently focused element, for example after clicking into it with browser_mouse_click_xy.',
+        inputSchema: elementSchema.extend({
+            text: z.string().describe('Text to type'),
+            submit: z.boolean().optional().describe('Whether to submit entered text (press Enter after)'),
+        }),
+        type: 'destructive',
+    },
+    handle: async (tab, params, response) => {
+        response.setIncludeSnapshot();
+        response.addCode(`await page.keyboard.type(${javascript.quote(params.text)});`);
+        if (params.submit)
+            response.addCode(`await page.keyboard.press('Enter');`);
+        await tab.waitForCompletion(async () => {
+            await tab.page.keyboard.type(params.text);
+            if (params.submit)
+                await tab.page.keyboard.press('Enter');
+        });
+    },
+});
+export default [
+    mouseMove,
+    mouseClick,
+    mouseDrag,
+    mouseWheel,
+    keyboardType,
+];
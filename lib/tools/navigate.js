@@ -17,6 +17,7 @@ import { z } from 'zod';
 import { defineTool, defineTabTool } from './tool.js';
 const navigate = defineTool({
     capability: 'core',
+    snapshot: true,
     schema: {
         name: 'browser_navigate_url',
         title: 'Navigate the browser to a specified URL. This action will load the new page and wait for it to be ready, replacing the current page content.',
@@ -35,6 +36,7 @@ const navigate = defineTool({
 });
 const navigateAction = defineTabTool({
     capability: 'core',
+    snapshot: true,
     schema: {
         name: 'browser_navigate_action',
         title: 'Navigate browser action',
@@ -13,6 +13,7 @@
  * See the License for the specific language governing permissions and
  * limitations under the License.
  */
+import fs from 'fs';
 import { z } from 'zod';
 import { defineTabTool } from './tool.js';
 
@@ -21,7 +22,7 @@ const requests = defineTabTool({
     schema: {
         name: 'browser_network_requests',
         title: 'List network requests',
-        description: 'Returns all network requests since loading the page with optional filtering by HTTP method, status code, content type, and URL pattern',
+        description: 'Returns all network requests since loading the page with optional filtering by HTTP method, status code, content type, and URL pattern. Each request has a stable id, along with its resource type, timing, redirect chain and failure reason.',
         inputSchema: z.object({
             method: z.enum(['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'HEAD', 'OPTIONS']).optional()
                 .describe('Filter by HTTP method'),
@@ -38,10 +39,10 @@ const requests = defineTabTool({
     },
     handle: async (tab, params, response) => {
         const requests = tab.requests();
-        const requestEntries = [...requests.entries()];
+        const requestEntries = [...requests.values()];
         
         // Apply filters
-        let filteredRequests = requestEntries.filter(([req, res]) => {
+        let filteredRequests = requestEntries.filter(({ request: req, response: res }) => {
             // Filter by HTTP method
             if (params.method && req.method().toUpperCase() !== params.method.toUpperCase()) {
                 return false;
@@ -76,14 +77,14 @@ const requests = defineTabTool({
         }
         
         // Render results
-        filteredRequests.forEach(([req, res]) => {
-            response.addResult(renderRequest(req, res));
+        filteredRequests.forEach(entry => {
+            response.addResult(renderRequest(entry));
         });
         
         if (filteredRequests.length === 0) {
             response.addResult('No requests found matching the specified filters.');
         } else {
-            response.addResult(`\nShowing ${filteredRequests.length} request(s). Use browser_network_request_details with the full URL to see details.`);
+            response.addResult(`\nShowing ${filteredRequests.length} request(s). Use browser_network_request_details with the request id to see details.`);
         }
     },
 });
@@ -93,48 +94,43 @@ const requestDetails = defineTabTool({
     schema: {
         name: 'browser_network_request_details',
         title: 'Get network request details',
-        description: 'Get detailed information about a specific network request using its URL and optionally HTTP method',
+        description: 'Get detailed information about a specific network request using its id from browser_network_requests, or its URL and optionally HTTP method. Long text bodies can be paged through with offset and length, and JSON bodies can be narrowed down with jsonPath. Use browser_network_response_save to save a body, including binary content, to a file.',
         inputSchema: z.object({
-            url: z.string()
-                .describe('Full URL of the request (copy from browser_network_requests output)'),
+            id: z.string().optional()
+                .describe('Id of the request (copy from browser_network_requests output). Preferred over url, as it is unambiguous.'),
+            url: z.string().optional()
+                .describe('Full URL of the request (copy from browser_network_requests output), used when id is not provided'),
             method: z.enum(['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'HEAD', 'OPTIONS']).optional()
-                .describe('HTTP method (optional, helps when same URL has multiple methods)')
+                .describe('HTTP method (optional, helps when same URL has multiple methods)'),
+            offset: z.number().int().min(0).default(0).optional()
+                .describe('Character offset to start reading the response body from (default: 0)'),
+            length: z.number().int().min(1).max(100000).default(1000).optional()
+                .describe('Maximum number of response body characters to return (default: 1000)'),
+            jsonPath: z.string().optional()
+                .describe('JSONPath-like expression to pick from a JSON response body, e.g. "$.data.items[0].name" or "$.items[*].id". The result is pretty printed.')
         }),
         type: 'readOnly',
     },
     handle: async (tab, params, response) => {
-        const requests = tab.requests();
-        const requestEntries = [...requests.entries()];
-        
-        // Find matching request(s)
-        const matchingRequests = requestEntries.filter(([req, res]) => {
-            const urlMatches = req.url() === params.url;
-            const methodMatches = !params.method || req.method().toUpperCase() === params.method.toUpperCase();
-            return urlMatches && methodMatches;
-        });
-        
-        if (matchingRequests.length === 0) {
-            response.addError(`No request found for URL: ${params.url}${params.method ? ` with method ${params.method}` : ''}`);
+        if (!params.id && !params.url)
+            throw new Error('Either id or url must be provided');
+        const entry = findRequest(tab, params, response);
+        if (!entry)
             return;
-        }
-        
-        if (matchingRequests.length > 1 && !params.method) {
-            response.addResult(`Found ${matchingRequests.length} requests for this URL with different methods:`);
-            matchingRequests.forEach(([req, res]) => {
-                response.addResult(`- ${req.method().toUpperCase()} ${req.url()}`);
-            });
-            response.addResult(`\nPlease specify the 'method' parameter to get details for a specific request.`);
-            return;
-        }
-        
-        // Show details for the request (use first match if method specified or only one match)
-        const [request, responseObj] = matchingRequests[0];
+        const { request, response: responseObj } = entry;
         
         // Request details
         response.addResult(`## Request Details`);
+        response.addResult(`**Id:** ${entry.id}`);
         response.addResult(`**URL:** ${request.url()}`);
         response.addResult(`**Method:** ${request.method().toUpperCase()}`);
         response.addResult(`**Resource Type:** ${request.resourceType()}`);
+        response.addResult(`**Timing:** ${renderTiming(entry)}`);
+        const redirectChain = redirectChainOf(request);
+        if (redirectChain.length)
+            response.addResult(`**Redirect Chain:** ${[...redirectChain, request.url()].join(' -> ')}`);
+        if (entry.failure)
+            response.addResult(`**Failure:** ${entry.failure}`);
         
         // Request headers
         const requestHeaders = request.headers();
@@ -162,21 +158,8 @@ const requestDetails = defineTabTool({
                 response.addResult(`  ${key}: ${value}`);
             });
             
-            // Response body (if text-based)
             try {
-                const contentType = responseHeaders['content-type'] || '';
-                if (contentType.includes('text/') || contentType.includes('application/json') || contentType.includes('application/xml')) {
-                    const body = await responseObj.text();
-                    if (body && body.length > 0) {
-                        response.addResult(`\n**Response Body:**`);
-                        // Limit body size for readability
-                        if (body.length > 1000) {
-                            response.addResult(body.substring(0, 1000) + '\n... (truncated)');
-                        } else {
-                            response.addResult(body);
-                        }
-                    }
-                }
+                await renderResponseBody(tab, responseObj, params, response);
             } catch (error) {
                 response.addResult(`\n**Response Body:** Unable to read response body: ${error.message}`);
             }
@@ -187,9 +170,261 @@ const requestDetails = defineTabTool({
     },
 });
 
-function renderRequest(request, response) {
+async function renderResponseBody(tab, responseObj, params, response) {
+    const contentType = responseObj.headers()['content-type'] || '';
+    const body = await responseObj.body();
+    const isJson = contentType.includes('json');
+    const isText = isJson || contentType.includes('text/') || contentType.includes('xml') || contentType.includes('javascript');
+    if (!isText && !params.jsonPath) {
+        if (body.length)
+            response.addResult(`\n**Response Body:** Binary content (${contentType || 'unknown type'}, ${body.length} bytes). Use browser_network_response_save to write it to a file.`);
+        return;
+    }
+    let text = body.toString('utf8');
+    if (params.jsonPath) {
+        let json;
+        try {
+            json = JSON.parse(text);
+        } catch {
+            throw new Error('jsonPath can only be used with JSON response bodies');
+        }
+        text = JSON.stringify(pickJson(json, params.jsonPath), null, 2) ?? 'undefined';
+    }
+    if (!text.length)
+        return;
+    const offset = params.offset ?? 0;
+    const end = Math.min(text.length, offset + (params.length ?? 1000));
+    response.addResult(`\n**Response Body${params.jsonPath ? ` (${params.jsonPath})` : ''}:**`);
+    if (offset >= text.length) {
+        response.addResult(`Offset ${offset} is past the end of the body (${text.length} characters)`);
+        return;
+    }
+    response.addResult(text.substring(offset, end));
+    if (offset > 0 || end < text.length)
+        response.addResult(`\n... (showing characters ${offset}-${end} of ${text.length}${end < text.length ? `, use offset=${end} to read more` : ''})`);
+}
+
+/**
+ * Evaluates a small JSONPath subset: `$`, `.key`, `['key']`, `[index]`, `[*]` and `.*`.
+ * Returns a single value, or an array of values when the expression contains a wildcard.
+ */
+function pickJson(value, expression) {
+    const tokenRegex = /\.([A-Za-z_$][\w$-]*)|\[(-?\d+)\]|\[\*\]|\.\*|\[(['"])(.*?)\3\]/y;
+    let path = expression.trim().replace(/^\$/, '');
+    if (path && !path.startsWith('.') && !path.startsWith('['))
+        path = '.' + path;
+    const tokens = [];
+    tokenRegex.lastIndex = 0;
+    while (tokenRegex.lastIndex < path.length) {
+        const start = tokenRegex.lastIndex;
+        const match = tokenRegex.exec(path);
+        if (!match)
+            throw new Error(`Invalid jsonPath "${expression}" at position ${start + (expression.length - path.length)}`);
+        if (match[1] !== undefined)
+            tokens.push(match[1]);
+        else if (match[2] !== undefined)
+            tokens.push(Number(match[2]));
+        else if (match[4] !== undefined)
+            tokens.push(match[4]);
+        else
+            tokens.push('*');
+    }
+    let values = [value];
+    for (const token of tokens) {
+        const next = [];
+        for (const current of values) {
+            if (current === null || typeof current !== 'object')
+                continue;
+            if (token === '*')
+                next.push(...Object.values(current));
+            else if (typeof token === 'number' && Array.isArray(current))
+                next.push(current[token < 0 ? current.length + token : token]);
+            else if (token in current)
+                next.push(current[token]);
+        }
+        values = next.filter(v => v !== undefined);
+    }
+    return tokens.includes('*') ? values : values[0];
+}
+
+const saveResponse = defineTabTool({
+    capability: 'core',
+    schema: {
+        name: 'browser_network_response_save',
+        title: 'Save network response body',
+        description: 'Save the raw response body of a captured network request to a file in the output directory. Works for binary content such as images or protobuf.',
+        inputSchema: z.object({
+            id: z.string().optional()
+                .describe('Id of the request (copy from browser_network_requests output)'),
+            url: z.string().optional()
+                .describe('Full URL of the request, used when id is not provided'),
+            method: z.enum(['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'HEAD', 'OPTIONS']).optional()
+                .describe('HTTP method (optional, helps when same URL has multiple methods)'),
+            filename: z.string()
+                .describe('File name to save the response body to, in the output directory'),
+        }),
+        type: 'destructive',
+    },
+    handle: async (tab, params, response) => {
+        if (!params.id && !params.url)
+            throw new Error('Either id or url must be provided');
+        const entry = findRequest(tab, params, response);
+        if (!entry)
+            return;
+        if (!entry.response)
+            throw new Error(`No response received for request ${entry.id}`);
+        const body = await entry.response.body();
+        const fileName = await tab.context.outputFile(params.filename);
+        await fs.promises.writeFile(fileName, body);
+        response.addResult(`Saved ${body.length} bytes of the response body to ${fileName}`);
+    },
+});
+
+const requestExport = defineTabTool({
+    capability: 'core',
+    schema: {
+        name: 'browser_network_request_export',
+        title: 'Export network request',
+        description: 'Export a captured network request as a ready-to-run cURL command, a Node fetch() snippet and browser_http_request arguments, carrying over the original headers and body. Authorization, cookie and API key headers are redacted unless redactAuth is false. Useful to replay an interesting API call directly.',
+        inputSchema: z.object({
+            id: z.string().optional()
+                .describe('Id of the request (copy from browser_network_requests output)'),
+            url: z.string().optional()
+                .describe('Full URL of the request, used when id is not provided'),
+            method: z.enum(['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'HEAD', 'OPTIONS']).optional()
+                .describe('HTTP method (optional, helps when same URL has multiple methods)'),
+            redactAuth: z.boolean().default(true).optional()
+                .describe('Replace the values of authorization, cookie and API key headers with a placeholder (default: true). Set to false to export the credentials of the session, including cookies of the browser context.')
+        }),
+        type: 'readOnly',
+    },
+    handle: async (tab, params, response) => {
+        if (!params.id && !params.url)
+            throw new Error('Either id or url must be provided');
+        const entry = findRequest(tab, params, response);
+        if (!entry)
+            return;
+        const { request } = entry;
+        const headers = await exportedHeaders(tab, request, params.redactAuth ?? true);
+        const body = request.postData() ?? undefined;
+        const method = request.method().toUpperCase();
+        response.addResult(JSON.stringify({
+            curl: renderCurl(request.url(), method, headers, body),
+            fetch: renderFetch(request.url(), method, headers, body),
+            browserHttpRequest: {
+                url: request.url(),
+                method,
+                headers,
+                body,
+            },
+        }, null, 2));
+    },
+});
+
+const sensitiveHeaders = ['authorization', 'proxy-authorization', 'cookie', 'x-api-key', 'x-auth-token', 'x-csrf-token', 'x-xsrf-token'];
+
+async function exportedHeaders(tab, request, redactAuth) {
+    const headers = {};
+    for (const [name, value] of Object.entries(await request.allHeaders())) {
+        // HTTP/2 pseudo headers and hop-by-hop headers are set by the client.
+        if (name.startsWith(':') || name === 'host' || name === 'content-length' || name === 'connection')
+            continue;
+        headers[name] = value;
+    }
+    if (redactAuth) {
+        for (const name of Object.keys(headers)) {
+            if (sensitiveHeaders.includes(name))
+                headers[name] = '<redacted>';
+        }
+        return headers;
+    }
+    // Not every browser reports the cookie header, take it from the context instead.
+    if (!headers['cookie']) {
+        const cookies = await tab.page.context().cookies(request.url());
+        if (cookies.length)
+            headers['cookie'] = cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+    }
+    return headers;
+}
+
+function shellQuote(value) {
+    return `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+function renderCurl(url, method, headers, body) {
+    const parts = [`curl ${shellQuote(url)}`];
+    if (method !== 'GET' || body !== undefined)
+        parts.push(`-X ${method}`);
+    for (const [name, value] of Object.entries(headers))
+        parts.push(`-H ${shellQuote(`${name}: ${value}`)}`);
+    if (body !== undefined)
+        parts.push(`--data-raw ${shellQuote(body)}`);
+    return parts.join(' \\\n  ');
+}
+
+function renderFetch(url, method, headers, body) {
+    const options = { method, headers };
+    if (body !== undefined)
+        options.body = body;
+    return `const response = await fetch(${JSON.stringify(url)}, ${JSON.stringify(options, null, 2)});`;
+}
+
+/**
+ * Looks up a captured request by id, or by URL and method. When the URL is ambiguous,
+ * lists the candidates in the response and returns undefined.
+ */
+export function findRequest(tab, params, response) {
+    const requestEntries = [...tab.requests().values()];
+    if (params.id) {
+        const entry = requestEntries.find(entry => entry.id === params.id);
+        if (!entry)
+            response.addError(`No request found with id ${params.id}. Captured requests are cleared when navigating to a new page, use browser_network_requests to list the current ones.`);
+        return entry;
+    }
+    const matchingRequests = requestEntries.filter(({ request: req }) => {
+        const urlMatches = req.url() === params.url;
+        const methodMatches = !params.method || req.method().toUpperCase() === params.method.toUpperCase();
+        return urlMatches && methodMatches;
+    });
+    
+    if (matchingRequests.length === 0) {
+        response.addError(`No request found for URL: ${params.url}${params.method ? ` with method ${params.method}` : ''}`);
+        return undefined;
+    }
+    
+    if (matchingRequests.length > 1) {
+        response.addResult(`Found ${matchingRequests.length} requests for this URL:`);
+        matchingRequests.forEach(entry => {
+            response.addResult(`- ${renderRequest(entry)}`);
+        });
+        response.addResult(`\nPlease specify the 'id' parameter to get details for a specific request.`);
+        return undefined;
+    }
+    return matchingRequests[0];
+}
+
+function redirectChainOf(request) {
+    const chain = [];
+    for (let from = request.redirectedFrom(); from; from = from.redirectedFrom())
+        chain.unshift(from.url());
+    return chain;
+}
+
+function renderTiming(entry) {
+    const parts = [`start=${new Date(entry.startTime).toISOString()}`];
+    if (entry.responseTime !== undefined)
+        parts.push(`ttfb=${entry.responseTime - entry.startTime}ms`);
+    if (entry.endTime !== undefined)
+        parts.push(`duration=${entry.endTime - entry.startTime}ms`);
+    else
+        parts.push('pending');
+    return parts.join(' ');
+}
+
+function renderRequest(entry) {
+    const { request, response } = entry;
     const result = [];
-    result.push(`[${request.method().toUpperCase()}] ${request.url()}`);
+    result.push(`id=${entry.id} [${request.method().toUpperCase()}] ${request.url()}`);
     if (response) {
         result.push(`=> [${response.status()}] ${response.statusText()}`);
         
@@ -199,13 +434,22 @@ function renderRequest(request, response) {
             const shortContentType = contentType.split(';')[0]; // Remove charset info
             result.push(`(${shortContentType})`);
         }
+    } else if (entry.failure) {
+        result.push(`=> [FAILED] ${entry.failure}`);
     } else {
-        result.push('=> [PENDING/FAILED]');
+        result.push('=> [PENDING]');
     }
+    result.push(`type=${request.resourceType()}`);
+    result.push(renderTiming(entry));
+    const redirectChain = redirectChainOf(request);
+    if (redirectChain.length)
+        result.push(`redirectedFrom=${redirectChain.join(' -> ')}`);
     return result.join(' ');
 }
 
 export default [
     requests,
     requestDetails,
+    requestExport,
+    saveResponse,
 ];
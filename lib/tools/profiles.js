@@ -0,0 +1,78 @@
+/**
+ * Copyright (c) Microsoft Corporation.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import { z } from 'zod';
+import { defineTool } from './tool.js';
+import { deleteProfile, listProfiles } from '../browserContextFactory.js';
+import { checkProfileAllowed, validateProfileName } from '../config.js';
+const profileName = z.string().describe('Profile name, letters, digits, dots, dashes and underscores');
+const listProfilesTool = defineTool({
+    capability: 'core',
+    schema: {
+        name: 'browser_profile_list',
+        title: 'List browser profiles',
+        description: 'List the named persistent browser profiles, with the browsers that have data in them and whether they are in use, as JSON',
+        inputSchema: z.object({}),
+        type: 'readOnly',
+    },
+    handle: async (context, params, response) => {
+        const allowed = context.config.policy?.profiles;
+        const profiles = (await listProfiles()).filter(profile => !allowed || allowed.includes(profile.name));
+        response.addResult(JSON.stringify({
+            current: context.profile() ?? null,
+            profiles: profiles.map(({ name, browsers, inUse }) => ({ name, browsers, inUse })),
+        }, null, 2));
+    },
+});
+const selectProfile = defineTool({
+    capability: 'core',
+    schema: {
+        name: 'browser_profile_select',
+        title: 'Select browser profile',
+        description: 'Switch this session to a named persistent browser profile, creating it if needed. The browser is closed and relaunched with the profile on the next action, so open pages are lost. Profiles apply to persistent browsers only, not to --isolated or remote ones.',
+        inputSchema: z.object({
+            name: profileName,
+        }),
+        type: 'destructive',
+    },
+    handle: async (context, params, response) => {
+        validateProfileName(params.name);
+        checkProfileAllowed(context.config.policy, params.name);
+        await context.setProfile(params.name);
+        response.addResult(`Switched to profile "${params.name}", the browser will be launched with it on the next action`);
+    },
+});
+const deleteProfileTool = defineTool({
+    capability: 'core',
+    schema: {
+        name: 'browser_profile_delete',
+        title: 'Delete browser profile',
+        description: 'Delete a named persistent browser profile with all its user data. Profiles in use by a browser cannot be deleted.',
+        inputSchema: z.object({
+            name: profileName,
+        }),
+        type: 'destructive',
+    },
+    handle: async (context, params, response) => {
+        checkProfileAllowed(context.config.policy, params.name);
+        const profile = await deleteProfile(params.name);
+        response.addResult(`Deleted profile "${profile.name}" (${profile.path})`);
+    },
+});
+export default [
+    listProfilesTool,
+    selectProfile,
+    deleteProfileTool,
+];
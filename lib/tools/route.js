@@ -0,0 +1,192 @@
+/**
+ * Copyright (c) Microsoft Corporation.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import fs from 'fs';
+import { z } from 'zod';
+import { defineTool } from './tool.js';
+import * as javascript from '../javascript.js';
+const abortErrorCodes = [
+    'aborted', 'accessdenied', 'addressunreachable', 'blockedbyclient', 'blockedbyresponse',
+    'connectionaborted', 'connectionclosed', 'connectionfailed', 'connectionrefused',
+    'connectionreset', 'internetdisconnected', 'namenotresolved', 'timedout', 'failed',
+];
+const routeSchema = z.object({
+    urlPattern: z.string().describe('URL glob pattern to match (e.g. "**/api/users*"), or a regular expression source when isRegex is true'),
+    isRegex: z.boolean().optional().describe('Whether urlPattern is a regular expression instead of a glob'),
+    method: z.string().optional().describe('Only match requests with this HTTP method (e.g. "POST"). Matches all methods if not provided.'),
+    action: z.enum(['fulfill', 'abort', 'continue']).describe('What to do with matching requests: "fulfill" with a mocked response, "abort" with an error, or "continue" to the network with modifications'),
+    response: z.object({
+        status: z.number().min(100).max(599).optional().describe('Response status code, defaults to 200'),
+        headers: z.record(z.string()).optional().describe('Response headers'),
+        body: z.string().optional().describe('Response body'),
+        path: z.string().optional().describe('Absolute path of a file to serve as the response body, instead of body'),
+    }).optional().describe('Mocked response, used with the "fulfill" action'),
+    errorCode: z.enum(abortErrorCodes).optional().describe('Network error to abort with, used with the "abort" action. Defaults to "failed".'),
+    overrides: z.object({
+        url: z.string().optional().describe('URL to send the request to instead'),
+        headers: z.record(z.string()).optional().describe('Headers to add to or replace in the request'),
+        postData: z.string().optional().describe('Request body to send instead'),
+    }).optional().describe('Request modifications, used with the "continue" action'),
+});
+const addRoute = defineTool({
+    capability: 'core',
+    schema: {
+        name: 'browser_route_add',
+        title: 'Add network route',
+        description: 'Intercept requests matching a URL pattern and method in the current browser context. Matching requests can be fulfilled with a mocked response, aborted, or continued with modified URL, headers or body. Useful for stubbing flaky or unavailable backends.',
+        inputSchema: routeSchema,
+        type: 'destructive',
+    },
+    handle: async (context, params, response) => {
+        if (params.action === 'fulfill' && params.response?.path)
+            await fs.promises.access(params.response.path, fs.constants.R_OK);
+        const matcher = params.isRegex ? new RegExp(params.urlPattern) : params.urlPattern;
+        const method = params.method?.toUpperCase();
+        const route = await context.addRoute({
+            urlPattern: params.urlPattern,
+            isRegex: !!params.isRegex,
+            method,
+            action: params.action,
+            response: params.response,
+            errorCode: params.errorCode,
+            overrides: params.overrides,
+            matcher,
+            handler: routeHandler(params, method),
+        });
+        response.addCode(renderRouteCode(params, method));
+        response.addResult(`Added route ${route.id}: ${renderRoute(route)}`);
+    },
+});
+const listRoutes = defineTool({
+    capability: 'core',
+    schema: {
+        name: 'browser_route_list',
+        title: 'List network routes',
+        description: 'List the network routes added with browser_route_add',
+        inputSchema: z.object({}),
+        type: 'readOnly',
+    },
+    handle: async (context, params, response) => {
+        const routes = context.routes();
+        if (!routes.length) {
+            response.addResult('No routes registered');
+            return;
+        }
+        response.addResult(JSON.stringify(routes.map(route => ({
+            id: route.id,
+            urlPattern: route.urlPattern,
+            isRegex: route.isRegex,
+            method: route.method,
+            action: route.action,
+            response: route.response,
+            errorCode: route.errorCode,
+            overrides: route.overrides,
+        })), null, 2));
+    },
+});
+const removeRoute = defineTool({
+    capability: 'core',
+    schema: {
+        name: 'browser_route_remove',
+        title: 'Remove network route',
+        description: 'Remove a network route added with browser_route_add, or all of them',
+        inputSchema: z.object({
+            id: z.string().optional().describe('Id of the route to remove, as returned by browser_route_add. Removes all routes if not provided.'),
+        }),
+        type: 'destructive',
+    },
+    handle: async (context, params, response) => {
+        const ids = params.id ? [params.id] : context.routes().map(route => route.id);
+        for (const id of ids) {
+            const route = await context.removeRoute(id);
+            response.addCode(`await page.unroute(${renderMatcher(route.urlPattern, route.isRegex)});`);
+            response.addResult(`Removed route ${route.id}: ${renderRoute(route)}`);
+        }
+        if (!ids.length)
+            response.addResult('No routes registered');
+    },
+});
+function routeHandler(params, method) {
+    return async (route) => {
+        const request = route.request();
+        if (method && request.method() !== method) {
+            await route.fallback();
+            return;
+        }
+        switch (params.action) {
+            case 'fulfill':
+                await route.fulfill(params.response ?? {});
+                break;
+            case 'abort':
+                await route.abort(params.errorCode ?? 'failed');
+                break;
+            case 'continue':
+                // Fall back instead of continuing so that the origin allow/block lists still apply.
+                await route.fallback({
+                    url: params.overrides?.url,
+                    headers: params.overrides?.headers ? { ...request.headers(), ...params.overrides.headers } : undefined,
+                    postData: params.overrides?.postData,
+                });
+                break;
+        }
+    };
+}
+function renderMatcher(urlPattern, isRegex) {
+    return isRegex ? String(new RegExp(urlPattern)) : javascript.quote(urlPattern);
+}
+function renderRouteCode(params, method) {
+    const lines = [`await page.route(${renderMatcher(params.urlPattern, params.isRegex)}, async route => {`];
+    if (method)
+        lines.push(`  if (route.request().method() !== '${method}')`, `    return route.fallback();`);
+    switch (params.action) {
+        case 'fulfill':
+            lines.push(`  await route.fulfill(${JSON.stringify(params.response ?? {})});`);
+            break;
+        case 'abort':
+            lines.push(`  await route.abort('${params.errorCode ?? 'failed'}');`);
+            break;
+        case 'continue': {
+            const overrides = {
+                url: params.overrides?.url,
+                postData: params.overrides?.postData,
+            };
+            const headers = params.overrides?.headers ? `headers: { ...route.request().headers(), ${Object.entries(params.overrides.headers).map(([name, value]) => `${javascript.quote(name)}: ${javascript.quote(value)}`).join(', ')} }` : undefined;
+            const tokens = [
+                ...Object.keys(overrides).filter(key => overrides[key] !== undefined).map(key => `${key}: ${javascript.quote(overrides[key])}`),
+                ...(headers ? [headers] : []),
+            ];
+            lines.push(`  await route.fallback(${tokens.length ? `{ ${tokens.join(', ')} }` : ''});`);
+            break;
+        }
+    }
+    lines.push('});');
+    return lines.join('\n');
+}
+function renderRoute(route) {
+    const target = `${route.method ?? 'ALL'} ${route.isRegex ? String(new RegExp(route.urlPattern)) : route.urlPattern}`;
+    switch (route.action) {
+        case 'fulfill':
+            return `${target} => fulfill ${route.response?.status ?? 200}${route.response?.path ? ` from ${route.response.path}` : ''}`;
+        case 'abort':
+            return `${target} => abort (${route.errorCode ?? 'failed'})`;
+        default:
+            return `${target} => continue${route.overrides ? ' with overrides' : ''}`;
+    }
+}
+export default [
+    addRoute,
+    listRoutes,
+    removeRoute,
+];
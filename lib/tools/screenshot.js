@@ -39,7 +39,7 @@ const screenshot = defineTabTool({
     schema: {
         name: 'browser_take_screenshot',
         title: 'Take a screenshot',
-        description: `Take a screenshot of the current page. You can't perform actions based on the screenshot, use browser_snapshot for actions.`,
+        description: `Take a screenshot of the current page. You can't perform ref-based actions based on the screenshot, use browser_snapshot for actions. With the vision capability enabled, screenshot coordinates can be used with the browser_mouse_* tools.`,
         inputSchema: screenshotSchema,
         type: 'readOnly',
     },
@@ -16,17 +16,36 @@
 import { z } from 'zod';
 import { defineTabTool, defineTool } from './tool.js';
 import { generateLocator } from './utils.js';
+import * as javascript from '../javascript.js';
 const snapshot = defineTool({
     capability: 'core',
+    snapshot: true,
     schema: {
         name: 'browser_snapshot',
         title: 'Page snapshot',
-        description: 'Capture accessibility snapshot of the current page to analyze the DOM structure, element roles, attributes, and semantic relationships for accessibility testing and debugging.',
-        inputSchema: z.object({}),
+        description: 'Capture accessibility snapshot of the current page to analyze the DOM structure, element roles, attributes, and semantic relationships for accessibility testing and debugging. Large pages can be explored incrementally by scoping the snapshot to an element, limiting its depth or roles, and paging through it with maxLines and cursor.',
+        inputSchema: z.object({
+            ref: z.string().optional().describe('Only return the subtree under the element with this reference from a previous snapshot'),
+            maxDepth: z.number().int().min(1).optional().describe('Maximum nesting depth of the returned nodes, counted from the top of the returned tree'),
+            roleFilter: z.array(z.string()).optional().describe('Only return nodes with these ARIA roles (e.g. ["row", "link"]), along with their descendants and ancestors'),
+            maxLines: z.number().int().min(1).optional().describe('Maximum number of snapshot lines to return. When more lines are available, the response contains a cursor for the next page.'),
+            cursor: z.string().optional().describe('Continuation cursor returned by a previous call with maxLines, used to fetch the next page'),
+        }),
         type: 'readOnly',
     },
     handle: async (context, params, response) => {
-        await context.ensureTab();
+        if (params.cursor !== undefined && !/^\d+$/.test(params.cursor))
+            throw new Error(`Invalid cursor "${params.cursor}", use the nextCursor of a previous snapshot page`);
+        const tab = await context.ensureTab();
+        if (params.ref)
+            await tab.refLocator({ ref: params.ref, element: 'Snapshot root' });
+        response.setSnapshotOptions({
+            ref: params.ref,
+            maxDepth: params.maxDepth,
+            roleFilter: params.roleFilter,
+            maxLines: params.maxLines,
+            cursor: params.cursor,
+        });
         response.setIncludeSnapshot();
     },
 });
@@ -40,6 +59,7 @@ const clickSchema = elementSchema.extend({
 });
 const click = defineTabTool({
     capability: 'core',
+    snapshot: true,
     schema: {
         name: 'browser_click',
         title: 'Click',
@@ -66,6 +86,7 @@ const click = defineTabTool({
 });
 const drag = defineTabTool({
     capability: 'core',
+    snapshot: true,
     schema: {
         name: 'browser_drag',
         title: 'Drag mouse',
@@ -90,10 +111,87 @@ const drag = defineTabTool({
         response.addCode(`await page.${await generateLocator(startLocator)}.dragTo(page.${await generateLocator(endLocator)});`);
     },
 });
-
-
+const hover = defineTabTool({
+    capability: 'core',
+    snapshot: true,
+    schema: {
+        name: 'browser_hover',
+        title: 'Hover mouse',
+        description: 'Hover the mouse over an element on the page. Useful for revealing menus, tooltips, hover cards and other content that only appears on mouse over.',
+        inputSchema: elementSchema,
+        type: 'readOnly',
+    },
+    handle: async (tab, params, response) => {
+        response.setIncludeSnapshot();
+        const locator = await tab.refLocator(params);
+        response.addCode(`await page.${await generateLocator(locator)}.hover();`);
+        await tab.waitForCompletion(async () => {
+            await locator.hover();
+        });
+    },
+});
+const selectOptionSchema = elementSchema.extend({
+    values: z.array(z.string()).min(1).describe('Array of values or labels to select in the dropdown. This can be a single value or multiple values.'),
+});
+const selectOption = defineTabTool({
+    capability: 'core',
+    snapshot: true,
+    schema: {
+        name: 'browser_select_option',
+        title: 'Select option',
+        description: 'Select one or more options in a dropdown. Works with native <select> elements as well as ARIA combobox and listbox widgets, matching options by value or visible label.',
+        inputSchema: selectOptionSchema,
+        type: 'destructive',
+    },
+    handle: async (tab, params, response) => {
+        response.setIncludeSnapshot();
+        const locator = await tab.refLocator(params);
+        await tab.waitForCompletion(async () => {
+            await selectOptions(tab, locator, params.values, response);
+        });
+    },
+});
+/**
+ * Selects options in a native <select> or in an ARIA combobox/listbox widget,
+ * emitting the equivalent code into the response.
+ */
+export async function selectOptions(tab, locator, values, response) {
+    const isNativeSelect = await locator.evaluate(element => element.tagName === 'SELECT');
+    if (isNativeSelect) {
+        response.addCode(`await page.${await generateLocator(locator)}.selectOption(${javascript.formatObject(values)});`);
+        await locator.selectOption(values);
+        return;
+    }
+    const role = await locator.getAttribute('role');
+    for (const value of values) {
+        // Comboboxes usually close after each pick, so reopen them before every option.
+        if (role !== 'listbox' && await locator.getAttribute('aria-expanded') !== 'true') {
+            response.addCode(`await page.${await generateLocator(locator)}.click();`);
+            await locator.click();
+        }
+        const option = await ariaOptionLocator(tab, locator, role, value);
+        response.addCode(`await page.${await generateLocator(option)}.click();`);
+        await option.click();
+    }
+}
+async function ariaOptionLocator(tab, locator, role, value) {
+    const popupId = await locator.evaluate(element => (element.getAttribute('aria-controls') || element.getAttribute('aria-owns') || '').split(/\s+/)[0]);
+    const scope = role === 'listbox' ? locator : popupId ? tab.page.locator(`[id=${javascript.quote(popupId)}]`) : tab.page;
+    const exact = scope.getByRole('option', { name: value, exact: true });
+    if (await exact.count())
+        return exact.first();
+    const byValue = scope.locator(`[role="option"][data-value=${javascript.quote(value)}]`);
+    if (await byValue.count())
+        return byValue.first();
+    const partial = scope.getByRole('option', { name: value });
+    if (await partial.count())
+        return partial.first();
+    throw new Error(`Option "${value}" not found. Make sure the dropdown contains an option with this value or label.`);
+}
 export default [
     snapshot,
     click,
     drag,
+    hover,
+    selectOption,
 ];
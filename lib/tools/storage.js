@@ -0,0 +1,242 @@
+/**
+ * Copyright (c) Microsoft Corporation.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import { z } from 'zod';
+import { defineTabTool } from './tool.js';
+import * as javascript from '../javascript.js';
+const storageType = z.enum(['local', 'session']).default('local').describe('Storage to use: "local" for localStorage or "session" for sessionStorage (default: "local")');
+const storageGet = defineTabTool({
+    capability: 'storage',
+    schema: {
+        name: 'browser_storage_get',
+        title: 'Get web storage entries',
+        description: 'Get localStorage or sessionStorage entries of the current page origin as JSON, either a single key or all entries',
+        inputSchema: z.object({
+            type: storageType,
+            key: z.string().optional().describe('Key to get. Returns all entries if not provided.'),
+        }),
+        type: 'readOnly',
+    },
+    handle: async (tab, params, response) => {
+        const storage = storageName(params.type);
+        if (params.key !== undefined) {
+            response.addCode(`await page.evaluate(key => ${storage}.getItem(key), ${javascript.quote(params.key)});`);
+            const value = await tab.page.evaluate(([storage, key]) => window[storage].getItem(key), [storage, params.key]);
+            response.addResult(JSON.stringify({ origin: await origin(tab), key: params.key, value }, null, 2));
+            return;
+        }
+        response.addCode(`await page.evaluate(() => ({ ...${storage} }));`);
+        const entries = await tab.page.evaluate(storage => Object.fromEntries(Object.entries(window[storage])), storage);
+        response.addResult(JSON.stringify({ origin: await origin(tab), entries }, null, 2));
+    },
+});
+const storageSet = defineTabTool({
+    capability: 'storage',
+    schema: {
+        name: 'browser_storage_set',
+        title: 'Set web storage entry',
+        description: 'Set a localStorage or sessionStorage entry for the current page origin',
+        inputSchema: z.object({
+            type: storageType,
+            key: z.string().describe('Key to set'),
+            value: z.string().describe('Value to store. Serialize objects with JSON first.'),
+        }),
+        type: 'destructive',
+    },
+    handle: async (tab, params, response) => {
+        const storage = storageName(params.type);
+        response.addCode(`await page.evaluate(([key, value]) => ${storage}.setItem(key, value), [${javascript.quote(params.key)}, ${javascript.quote(params.value)}]);`);
+        await tab.page.evaluate(([storage, key, value]) => window[storage].setItem(key, value), [storage, params.key, params.value]);
+        response.addResult(`Set ${storage} key "${params.key}" for ${await origin(tab)}`);
+    },
+});
+const storageRemove = defineTabTool({
+    capability: 'storage',
+    schema: {
+        name: 'browser_storage_remove',
+        title: 'Remove web storage entry',
+        description: 'Remove a localStorage or sessionStorage entry of the current page origin',
+        inputSchema: z.object({
+            type: storageType,
+            key: z.string().describe('Key to remove'),
+        }),
+        type: 'destructive',
+    },
+    handle: async (tab, params, response) => {
+        const storage = storageName(params.type);
+        response.addCode(`await page.evaluate(key => ${storage}.removeItem(key), ${javascript.quote(params.key)});`);
+        await tab.page.evaluate(([storage, key]) => window[storage].removeItem(key), [storage, params.key]);
+        response.addResult(`Removed ${storage} key "${params.key}" for ${await origin(tab)}`);
+    },
+});
+const storageClear = defineTabTool({
+    capability: 'storage',
+    schema: {
+        name: 'browser_storage_clear',
+        title: 'Clear web storage',
+        description: 'Remove all localStorage or sessionStorage entries of the current page origin',
+        inputSchema: z.object({
+            type: storageType,
+        }),
+        type: 'destructive',
+    },
+    handle: async (tab, params, response) => {
+        const storage = storageName(params.type);
+        response.addCode(`await page.evaluate(() => ${storage}.clear());`);
+        await tab.page.evaluate(storage => window[storage].clear(), storage);
+        response.addResult(`Cleared ${storage} for ${await origin(tab)}`);
+    },
+});
+const indexedDBList = defineTabTool({
+    capability: 'storage',
+    schema: {
+        name: 'browser_indexeddb_list',
+        title: 'List IndexedDB databases',
+        description: 'List the IndexedDB databases of the current page origin with their object stores, key paths, indexes and record counts, as JSON',
+        inputSchema: z.object({}),
+        type: 'readOnly',
+    },
+    handle: async (tab, params, response) => {
+        response.addCode(`await page.evaluate(() => indexedDB.databases());`);
+        const databases = await tab.page.evaluate(async () => {
+            const request = (r) => new Promise((resolve, reject) => {
+                r.onsuccess = () => resolve(r.result);
+                r.onerror = () => reject(r.error);
+            });
+            const result = [];
+            for (const { name, version } of await indexedDB.databases()) {
+                const db = await request(indexedDB.open(name));
+                try {
+                    const objectStores = [];
+                    for (const storeName of db.objectStoreNames) {
+                        const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+                        objectStores.push({
+                            name: storeName,
+                            keyPath: store.keyPath,
+                            autoIncrement: store.autoIncrement,
+                            indexes: [...store.indexNames].map(indexName => {
+                                const index = store.index(indexName);
+                                return { name: indexName, keyPath: index.keyPath, unique: index.unique, multiEntry: index.multiEntry };
+                            }),
+                            count: await request(store.count()),
+                        });
+                    }
+                    result.push({ name, version, objectStores });
+                } finally {
+                    db.close();
+                }
+            }
+            return result;
+        });
+        response.addResult(JSON.stringify({ origin: await origin(tab), databases }, null, 2));
+    },
+});
+const indexedDBDump = defineTabTool({
+    capability: 'storage',
+    schema: {
+        name: 'browser_indexeddb_dump',
+        title: 'Dump IndexedDB records',
+        description: 'Read records of an IndexedDB object store of the current page origin as JSON, in key order',
+        inputSchema: z.object({
+            database: z.string().describe('Database name, as listed by browser_indexeddb_list'),
+            store: z.string().describe('Object store name'),
+            limit: z.number().int().min(1).max(1000).default(50).describe('Maximum number of records to return (default: 50)'),
+            offset: z.number().int().min(0).default(0).describe('Number of records to skip (default: 0)'),
+        }),
+        type: 'readOnly',
+    },
+    handle: async (tab, params, response) => {
+        response.addCode(`// Read up to ${params.limit} records of "${params.store}" in IndexedDB database "${params.database}"`);
+        const result = await tab.page.evaluate(async ({ database, store, limit, offset }) => {
+            const request = (r) => new Promise((resolve, reject) => {
+                r.onsuccess = () => resolve(r.result);
+                r.onerror = () => reject(r.error);
+            });
+            if (!(await indexedDB.databases()).some(db => db.name === database))
+                throw new Error(`IndexedDB database "${database}" not found`);
+            // Values can hold types that JSON does not support, describe them instead of dropping them.
+            const toJSON = (value) => {
+                if (value instanceof Date)
+                    return value.toISOString();
+                if (value instanceof Blob)
+                    return `[Blob ${value.type || 'unknown type'}, ${value.size} bytes]`;
+                if (value instanceof ArrayBuffer || ArrayBuffer.isView(value))
+                    return `[${value.constructor.name}, ${value.byteLength} bytes]`;
+                if (value instanceof Map)
+                    return Object.fromEntries([...value].map(([k, v]) => [String(k), toJSON(v)]));
+                if (value instanceof Set)
+                    return [...value].map(toJSON);
+                if (Array.isArray(value))
+                    return value.map(toJSON);
+                if (value && typeof value === 'object')
+                    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, toJSON(v)]));
+                if (typeof value === 'bigint')
+                    return String(value);
+                return value;
+            };
+            const db = await request(indexedDB.open(database));
+            try {
+                if (!db.objectStoreNames.contains(store))
+                    throw new Error(`Object store "${store}" not found in database "${database}"`);
+                const objectStore = db.transaction(store, 'readonly').objectStore(store);
+                const total = await request(objectStore.count());
+                const records = [];
+                await new Promise((resolve, reject) => {
+                    const cursorRequest = objectStore.openCursor();
+                    let skipped = false;
+                    cursorRequest.onerror = () => reject(cursorRequest.error);
+                    cursorRequest.onsuccess = () => {
+                        const cursor = cursorRequest.result;
+                        if (!cursor || records.length >= limit) {
+                            resolve();
+                            return;
+                        }
+                        if (offset && !skipped) {
+                            skipped = true;
+                            cursor.advance(offset);
+                            return;
+                        }
+                        records.push({ key: toJSON(cursor.key), value: toJSON(cursor.value) });
+                        cursor.continue();
+                    };
+                });
+                return { total, records };
+            } finally {
+                db.close();
+            }
+        }, params);
+        response.addResult(JSON.stringify({
+            origin: await origin(tab),
+            database: params.database,
+            store: params.store,
+            offset: params.offset,
+            ...result,
+        }, null, 2));
+    },
+});
+function storageName(type) {
+    return type === 'session' ? 'sessionStorage' : 'localStorage';
+}
+async function origin(tab) {
+    return await tab.page.evaluate(() => location.origin);
+}
+export default [
+    storageGet,
+    storageSet,
+    storageRemove,
+    storageClear,
+    indexedDBList,
+    indexedDBDump,
+];
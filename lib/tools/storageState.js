@@ -0,0 +1,72 @@
+/**
+ * Copyright (c) Microsoft Corporation.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+import fs from 'fs';
+import path from 'path';
+import { z } from 'zod';
+import { defineTool } from './tool.js';
+import * as javascript from '../javascript.js';
+const saveStorageState = defineTool({
+    capability: 'core',
+    schema: {
+        name: 'browser_storage_state_save',
+        title: 'Save storage state',
+        description: 'Save the cookies and localStorage of the browser context to a JSON file in the output directory, for example after logging in. Load it later with browser_storage_state_load or --storage-state to reuse the authenticated session.',
+        inputSchema: z.object({
+            filename: z.string().optional().describe('File name to save the storage state to. Defaults to `storage-state-{timestamp}.json` if not specified.'),
+        }),
+        type: 'destructive',
+    },
+    handle: async (context, params, response) => {
+        const browserContext = await context.browserContext();
+        const fileName = await context.outputFile(params.filename ?? `storage-state-${new Date().toISOString()}.json`);
+        response.addCode(`await page.context().storageState({ path: ${javascript.quote(fileName)} });`);
+        const state = await browserContext.storageState({ path: fileName });
+        response.addResult(`Saved storage state with ${state.cookies.length} cookies and localStorage of ${state.origins.length} origins to ${fileName}`);
+    },
+});
+const loadStorageState = defineTool({
+    capability: 'core',
+    snapshot: true,
+    schema: {
+        name: 'browser_storage_state_load',
+        title: 'Load storage state',
+        description: 'Load cookies and localStorage from a storage state file saved with browser_storage_state_save. The browser context is recreated with the state and the current page is reopened.',
+        inputSchema: z.object({
+            filename: z.string().describe('Absolute path of the storage state file, or its file name in the output directory'),
+        }),
+        type: 'destructive',
+    },
+    handle: async (context, params, response) => {
+        const fileName = path.isAbsolute(params.filename) ? params.filename : await context.outputFile(params.filename);
+        let state;
+        try {
+            state = JSON.parse(await fs.promises.readFile(fileName, 'utf8'));
+        } catch (error) {
+            throw new Error(`Failed to read storage state from ${fileName}: ${error.message}`);
+        }
+        if (!Array.isArray(state?.cookies) && !Array.isArray(state?.origins))
+            throw new Error(`${fileName} is not a storage state file, expected "cookies" and "origins"`);
+        response.addCode(`const context = await browser.newContext({ storageState: ${javascript.quote(fileName)} });`);
+        await context.loadStorageState(state);
+        response.addResult(`Loaded ${state.cookies?.length ?? 0} cookies and localStorage of ${state.origins?.length ?? 0} origins from ${fileName}`);
+        if (context.currentTab())
+            response.setIncludeSnapshot();
+    },
+});
+export default [
+    saveStorageState,
+    loadStorageState,
+];
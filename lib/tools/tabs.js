@@ -31,6 +31,7 @@ const listTabs = defineTool({
 });
 const selectTab = defineTool({
     capability: 'core-tabs',
+    snapshot: true,
     schema: {
         name: 'browser_tab_select',
         title: 'Select browser tab',
@@ -47,6 +48,7 @@ const selectTab = defineTool({
 });
 const newTab = defineTool({
     capability: 'core-tabs',
+    snapshot: true,
     schema: {
         name: 'browser_tab_new',
         title: 'Create new browser tab',
@@ -65,6 +67,7 @@ const newTab = defineTool({
 });
 const closeTab = defineTool({
     capability: 'core-tabs',
+    snapshot: true,
     schema: {
         name: 'browser_tab_close',
         title: 'Close browser tab',
@@ -13,11 +13,13 @@
  * See the License for the specific language governing permissions and
  * limitations under the License.
  */
+import { z } from 'zod';
+const snapshotModeSchema = z.enum(['full', 'diff']).optional().describe('Return the full page snapshot, or only the nodes added, removed and changed since the previous snapshot of this tab. Defaults to the server configuration.');
 export function defineTool(tool) {
-    return tool;
+    return withSnapshotMode(tool);
 }
 export function defineTabTool(tool) {
-    return {
+    return withSnapshotMode({
         ...tool,
         handle: async (context, params, response) => {
             const tab = context.currentTabOrDie();
@@ -29,5 +31,24 @@ export function defineTabTool(tool) {
             else
                 return tool.handle(tab, params, response);
         },
+    });
+}
+/**
+ * Tools that return a page snapshot declare `snapshot: true` to accept a per-call `snapshotMode` argument.
+ */
+function withSnapshotMode(tool) {
+    if (!tool.snapshot)
+        return tool;
+    return {
+        ...tool,
+        schema: {
+            ...tool.schema,
+            inputSchema: tool.schema.inputSchema.extend({ snapshotMode: snapshotModeSchema }),
+        },
+        handle: async (context, params, response) => {
+            if (params.snapshotMode)
+                response.setSnapshotMode(params.snapshotMode);
+            return tool.handle(context, params, response);
+        },
     };
 }
@@ -18,6 +18,7 @@ import { defineTabTool } from './tool.js';
 import { generateLocator } from './utils.js';
 const wait = defineTabTool({
     capability: 'core',
+    snapshot: true,
     schema: {
         name: 'browser_wait_for',
         title: 'Wait for',